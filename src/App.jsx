@@ -1,218 +1,166 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Search, ChevronDown, ChevronUp, Eye, X, GitCompare } from 'lucide-react';
-import * as XLSX from 'xlsx';
-import ReactDiffViewer from 'react-diff-viewer';
-import { diffWords } from 'diff';
-
-// Professional Red Lining Comparison Component with Error Handling
-const RedLiningViewer = ({ sourceText, finalText, sourceLabel = "Original text", finalLabel = "Changed text" }) => {
-  // Add conservative spacing for readability while preserving diff accuracy
-  const formatText = (text) => {
-    try {
-      if (!text || typeof text !== 'string') return '';
-      
-      return text
-        .trim()
-        // Add space after section numbers (e.g., "132." or "130A.") - more conservative
-        .replace(/(\d+[A-Z]?\.)\s*([A-Z])/g, '$1 $2')
-        // Add line break only after major section breaks
-        .replace(/(\d+[A-Z]?\.\s*[A-Z][^.]*\.)\s*([A-Z])/g, '$1\n\n$2')
-        // Add line break after subsection markers like "(1)", "(2)", etc.
-        .replace(/(\([0-9]+\))\s*([a-z])/g, '$1 $2')
-        // Ensure single spaces after periods
-        .replace(/\.\s+/g, '. ')
-        // Clean up multiple spaces
-        .replace(/\s+/g, ' ')
-        .trim();
-    } catch (error) {
-      console.error('Error formatting text:', error);
-      return text || '';
-    }
-  };
+import React, { useState, useEffect, useMemo, useDeferredValue, useRef } from 'react';
+import { Search, ChevronDown, ChevronUp, Eye, X, GitCompare, GitMerge, CalendarRange, HelpCircle, AlertCircle, Upload, RotateCcw, Link, Check, ChartColumn, Table2, BookOpen, StickyNote, ListChecks, Network, ListTree, Combine } from 'lucide-react';
+import ProvenanceViewer from './components/ProvenanceViewer';
+import { parseQuery, matchesQuery, collectSearchTerms, QUERY_FIELDS } from './utils/query';
+import { buildSearchIndex, scoreRow, buildSnippet } from './utils/searchIndex';
+import { loadWorkbook, parseDatasetFile } from './utils/workbookLoader';
+import { detectDataSheet, matchesSchema } from './utils/datasetSchema';
+import ColumnMappingDialog from './components/ColumnMappingDialog';
+import CrossYearComparison from './components/CrossYearComparison';
+import RedLiningViewer from './components/RedLiningViewer';
+import MultiDiffView from './components/MultiDiffView';
+import PopoutWindow from './components/PopoutWindow';
+import { diffInputsForRows } from './utils/multiDiff';
+import { DEFAULT_REDLINE_OPTIONS } from './utils/redline';
+import { SIMILARITY_BANDS, similarityBand, charDelta, mostChangedRow } from './utils/similarity';
+import { computeSimilarities } from './utils/similarityLoader';
+import SimilarityBadge from './components/SimilarityBadge';
+import { CONFERENCE_OUTCOMES, rowAgreement } from './utils/agreement';
+import OutcomeBadge from './components/OutcomeBadge';
+import Dashboard from './components/Dashboard';
+import ExportMenu from './components/ExportMenu';
+import BriefingBasket from './components/BriefingBasket';
+import { useBasket } from './hooks/useBasket';
+import AnnotationPanel from './components/AnnotationPanel';
+import TeamFileButtons from './components/TeamFileButtons';
+import ReviewPanel from './components/ReviewPanel';
+import ReviewControls from './components/ReviewControls';
+import ReviewBadge from './components/ReviewBadge';
+import ReferenceLinks from './components/ReferenceLinks';
+import ReferenceGraph from './components/ReferenceGraph';
+import OutlineSidebar from './components/OutlineSidebar';
+import GroupingBadge from './components/GroupingBadge';
+import GroupingPanel from './components/GroupingPanel';
+import LongText from './components/LongText';
+import SectionDetail from './components/SectionDetail';
+import { useAnnotations } from './hooks/useAnnotations';
+import { useReviews } from './hooks/useReviews';
+import { useGroupings } from './hooks/useGroupings';
+import { useVirtualList } from './hooks/useVirtualList';
+import { allTags, parseAnnotationFile } from './utils/annotations';
+import { buildReferenceIndex } from './utils/references';
+import { buildOutline, outlineCounts, inOutlineNode, outlineNodeLabel } from './utils/outline';
+import { REVIEW_STATUSES, UNASSIGNED, matchesReviewFilter, reviewAssignees, reviewProgress, parseReviewFile } from './utils/review';
+import { sectionIdsByGroup } from './utils/sectionIds';
+import { comparisonSources, enactedLabel, fiscalYearFromName } from './utils/crossYear';
+import { groupSections, similarGroups, rowId, parseGroupingFile } from './utils/sectionGroups';
+import { billStats, presenceByGroup, PRESENCE_OPTIONS } from './utils/stats';
+import { parseHash, buildHash } from './utils/urlState';
+import { ENR_COLUMN } from './utils/columns';
+import {
+  DATASETS, DEFAULT_DATASET_ID, getDataset, datasetFileName, datasetLabel, sourceLabel, versionLabel,
+  chamberOf, finalLabel, enrolledTextLabel, canonicalHeaders, normalizeRows,
+} from './utils/datasets';
 
-  const sourceClean = formatText(sourceText);
-  const finalClean = formatText(finalText);
+const DATASET_FILE_TYPES = '.xlsx,.xls,.csv,.tsv,.json';
 
-  // Debug logging
-  console.log('RedLiningViewer props:', { sourceText: !!sourceText, finalText: !!finalText, sourceLabel, finalLabel });
-  console.log('Formatted text lengths:', { source: sourceClean.length, final: finalClean.length });
+const VIEWS = [
+  { id: 'table', label: 'Results', icon: <Table2 size={14} /> },
+  { id: 'dashboard', label: 'Dashboard', icon: <ChartColumn size={14} /> },
+  { id: 'graph', label: 'Reference graph', icon: <Network size={14} /> },
+];
 
-    // Fallback component for errors
-  if (!sourceClean && !finalClean) {
-    return (
-      <div className="border border-gray-300 rounded-lg bg-white p-6">
-        <div className="text-center text-gray-500">
-          <GitCompare size={24} className="mx-auto mb-2" />
-          <p>No text available for comparison</p>
-        </div>
-      </div>
-    );
-  }
+// DOM id of a group's row, used to scroll deep-linked sections into view
+const groupElementId = (key) => `group-${encodeURIComponent(key)}`;
 
-  // Simple fallback diff viewer
-  const SimpleDiffViewer = () => {
-    const diff = diffWords(sourceClean || '', finalClean || '');
-    
-    // Debug the diff results
-    console.log('Diff results:', diff);
-    console.log('Source text:', JSON.stringify(sourceClean?.substring(0, 100)));
-    console.log('Final text:', JSON.stringify(finalClean?.substring(0, 100)));
-    
-    const renderSourceText = () => {
-      const elements = [];
-      diff.forEach((part, index) => {
-        if (part.removed) {
-          elements.push(
-            <span key={index} className="bg-red-300 text-red-900 line-through decoration-2 font-bold">
-              {part.value}
-            </span>
-          );
-        } else if (!part.added) {
-          elements.push(<span key={index}>{part.value}</span>);
-        }
-        // Skip added parts in source view
-      });
-      return elements;
-    };
-
-    const renderFinalText = () => {
-      const elements = [];
-      diff.forEach((part, index) => {
-        if (part.added) {
-          elements.push(
-            <span key={index} className="bg-green-300 text-green-900 font-bold">
-              {part.value}
-            </span>
-          );
-        } else if (!part.removed) {
-          elements.push(<span key={index}>{part.value}</span>);
-        }
-        // Skip removed parts in final view
-      });
-      return elements;
-    };
-
-    const hasChanges = diff.some(part => part.added || part.removed);
-    const changesCount = diff.filter(part => part.added || part.removed).length;
+const expandedFromUrl = (urlState) => {
+  const keys = urlState.focus ? [...urlState.expanded, urlState.focus.key] : urlState.expanded;
+  return Object.fromEntries(keys.map(key => [key, true]));
+};
 
-    return (
-      <div className="border border-gray-300 rounded-lg overflow-hidden bg-white">
-        {/* Status Bar */}
-        <div className={`p-2 text-xs ${hasChanges ? 'bg-blue-50 text-blue-700' : 'bg-green-50 text-green-700'}`}>
-          {hasChanges ? (
-            <>✨ {changesCount} change{changesCount !== 1 ? 's' : ''} detected</>
-          ) : (
-            <>✅ No differences found - texts are identical</>
-          )}
-        </div>
-        
-        {/* Diff Content */}
-        <div className="flex h-80">
-          <div className="flex-1 flex flex-col">
-            <div className="bg-gray-100 border-b border-gray-300 p-3 border-r border-gray-300">
-              <span className="font-medium text-gray-700">{sourceLabel}</span>
-              {hasChanges && (
-                <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-1 rounded">
-                  {diff.filter(p => p.removed).length} deletions
-                </span>
-              )}
-            </div>
-            <div className="flex-1 p-3 overflow-y-auto text-sm leading-relaxed border-r border-gray-300">
-              {renderSourceText()}
-            </div>
-          </div>
-          <div className="flex-1 flex flex-col">
-            <div className="bg-gray-100 border-b border-gray-300 p-3">
-              <span className="font-medium text-gray-700">{finalLabel}</span>
-              {hasChanges && (
-                <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-1 rounded">
-                  {diff.filter(p => p.added).length} additions
-                </span>
-              )}
-            </div>
-            <div className="flex-1 p-3 overflow-y-auto text-sm leading-relaxed">
-              {renderFinalText()}
-            </div>
-          </div>
-        </div>
-      </div>
-    );
-  };
+const redliningFromUrl = (urlState) => (urlState.focus?.diff ? { [urlState.focus.key]: true } : {});
 
-  try {
-    return (
-      <div className="border border-gray-300 rounded-lg overflow-hidden bg-white">
-        {/* Custom Header */}
-        <div className="bg-gray-100 border-b border-gray-300 p-3">
-          <div className="flex items-center gap-4">
-            <GitCompare size={16} className="text-gray-600" />
-            <span className="font-medium text-gray-700">Text Comparison</span>
-            <span className="text-sm text-gray-500">
-              {sourceLabel} vs {finalLabel}
-            </span>
-          </div>
-        </div>
-        
-        {/* Try ReactDiffViewer, fallback to simple viewer */}
-        <div className="h-96 overflow-hidden">
-          <SimpleDiffViewer />
-        </div>
-      </div>
-    );
-  } catch (error) {
-    console.error('Error rendering diff viewer:', error);
-    return (
-      <div className="border border-red-300 rounded-lg bg-red-50 p-6">
-        <div className="text-center text-red-600">
-          <X size={24} className="mx-auto mb-2" />
-          <p className="font-medium">Error loading comparison</p>
-          <p className="text-sm mt-1">Check console for details</p>
-          <button 
-            onClick={() => window.location.reload()} 
-            className="mt-3 px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
-          >
-            Reload Page
-          </button>
-        </div>
-      </div>
-    );
-  }
+const LOAD_STAGE_LABELS = {
+  check: 'Checking for updates',
+  download: 'Downloading workbook',
+  hash: 'Checking workbook contents',
+  parse: 'Parsing workbook',
+  convert: 'Reading rows',
+  cache: 'Loading from cache',
 };
 
 const NDAAReferenceInterface = () => {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0); // bump to reload the published workbook
+  // Filters, page and open sections start from (and are mirrored to) the URL hash
+  const [initialUrlState] = useState(() => parseHash(window.location.hash));
+  const [datasetId, setDatasetId] = useState(() => getDataset(initialUrlState.datasetId).id);
+  const [customSourceName, setCustomSourceName] = useState(null); // set while showing a user-supplied file
+  const [userFile, setUserFile] = useState(null); // last file the user opened, { name, rows }; kept as a comparison year
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [pendingDataset, setPendingDataset] = useState(null); // file awaiting column mapping
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
   const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedComplexity, setSelectedComplexity] = useState('');
-  const [selectedSourceType, setSelectedSourceType] = useState('');
-  const [sortField, setSortField] = useState('');
-  const [sortDirection, setSortDirection] = useState('asc');
-  const [currentPage, setCurrentPage] = useState(1);
-  const [selectedRow, setSelectedRow] = useState(null);
-  const [expandedKeys, setExpandedKeys] = useState({}); // For grouping expansion
-  const [showRedlining, setShowRedlining] = useState({}); // For red lining comparison
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.searchTerm);
+  const [showQueryHelp, setShowQueryHelp] = useState(false);
+  const [selectedComplexity, setSelectedComplexity] = useState(initialUrlState.complexity);
+  const [selectedSourceType, setSelectedSourceType] = useState(initialUrlState.sourceType);
+  const [selectedOutcome, setSelectedOutcome] = useState(initialUrlState.outcome);
+  const [selectedPresence, setSelectedPresence] = useState(initialUrlState.presence);
+  const [selectedStatus, setSelectedStatus] = useState(initialUrlState.reviewStatus);
+  const [selectedAssignee, setSelectedAssignee] = useState(initialUrlState.assignee);
+  const [selectedOutline, setSelectedOutline] = useState(initialUrlState.outline); // outline node id
+  const [selectedSimilarity, setSelectedSimilarity] = useState(initialUrlState.similarity);
+  const [similarity, setSimilarity] = useState({ data: null, scores: new Map(), progress: null }); // scored in a worker after each load
+  const [sortField, setSortField] = useState(initialUrlState.sortField);
+  const [sortDirection, setSortDirection] = useState(initialUrlState.sortDirection);
+  const [currentPage, setCurrentPage] = useState(initialUrlState.page);
+  const [expandedKeys, setExpandedKeys] = useState(() => expandedFromUrl(initialUrlState)); // For grouping expansion
+  const [showRedlining, setShowRedlining] = useState(() => redliningFromUrl(initialUrlState)); // For red lining comparison
+  const [showAnnotations, setShowAnnotations] = useState({});
+  const [showGrouping, setShowGrouping] = useState({});
+  const [redlineOptions, setRedlineOptions] = useState(DEFAULT_REDLINE_OPTIONS); // shared by every inline redline
+  const [focus, setFocus] = useState(initialUrlState.focus); // deep-linked section, { key, diff }
+  const [copiedKey, setCopiedKey] = useState(null);
+  const [diffKey, setDiffKey] = useState(initialUrlState.diffKey); // section shown in the diff tool
+  const [detailKey, setDetailKey] = useState(initialUrlState.detailKey); // section shown on the detail page
+  const [detailAnchor, setDetailAnchor] = useState(0); // where the detail page steps from when its section isn't in the results
+  const [view, setView] = useState(initialUrlState.view); // one of VIEWS
+  const [showBasket, setShowBasket] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  const [showOutline, setShowOutline] = useState(true);
+  const [popouts, setPopouts] = useState([]); // diff tools moved to their own windows, { key, popup }
+  const pendingFocusRef = useRef(initialUrlState.focus?.key || null);
+  const pendingPageRef = useRef(!initialUrlState.focus && initialUrlState.page > 1 ? initialUrlState.page : null);
+  const fromUrlRef = useRef(false);
+  const lastSearchRef = useRef(initialUrlState.searchTerm);
+  const [showProvenance, setShowProvenance] = useState({}); // For three-way provenance view
+  const [showCrossYear, setShowCrossYear] = useState({}); // For fiscal year comparison
+  const loadTokenRef = useRef(0); // bumped per workbook load, and when a user file replaces one in flight
   
   const itemsPerPage = 50;
+  const dataset = getDataset(datasetId);
+  const basket = useBasket(dataset.id); // sections picked for the briefing book
+  const annotations = useAnnotations(dataset.id);
+  const reviews = useReviews(dataset.id);
+  const groupings = useGroupings(dataset.id); // rows moved between sections by hand
 
   useEffect(() => {
+    let cancelled = false;
+    const token = ++loadTokenRef.current;
+    const stale = () => cancelled || token !== loadTokenRef.current;
+
     const loadData = async () => {
+      setLoading(true);
+      setError(null);
       try {
-        // Fetch the Excel file from the public folder
-        const response = await fetch('./NDAA_Bill_References_V5_with_text.xlsx');
-        
-        if (!response.ok) {
-          throw new Error(`Failed to fetch file: ${response.statusText}`);
-        }
-        
-        const arrayBuffer = await response.arrayBuffer();
-        const workbook = XLSX.read(arrayBuffer, { cellStyles: true });
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = XLSX.utils.sheet_to_json(firstSheet);
-        
-        setData(jsonData);
+        // Parsed in a worker and cached in IndexedDB; only re-parsed when the file changes
+        const { rows } = await loadWorkbook(dataset.url, {
+          onProgress: (progress) => {
+            if (!stale()) setLoadProgress(progress);
+          },
+        });
+        if (stale()) return;
+
+        setData(normalizeRows(dataset, rows));
+        setCustomSourceName(null);
         setLoading(false);
       } catch (error) {
+        if (stale()) return;
         console.error('Error loading data:', error);
         setError(error.message);
         setLoading(false);
@@ -220,29 +168,307 @@ const NDAAReferenceInterface = () => {
     };
     
     loadData();
+    return () => {
+      cancelled = true;
+    };
+  }, [dataset, reloadKey]);
+
+  // Switching fiscal year reloads the interface from a clean slate
+  const changeDataset = (id) => {
+    setDatasetId(id);
+    setSearchTerm('');
+    setSelectedComplexity('');
+    setSelectedSourceType('');
+    setSelectedOutcome('');
+    setSelectedPresence('');
+    setSelectedSimilarity('');
+    setSelectedStatus('');
+    setSelectedAssignee('');
+    setSelectedOutline('');
+    setSortField('');
+    goToPage(1);
+    setExpandedKeys({});
+    setShowRedlining({});
+    setShowProvenance({});
+    setShowCrossYear({});
+    setFocus(null);
+    setDiffKey(null);
+    setDetailKey(null);
+    popouts.forEach(({ popup }) => popup.close());
+    setPopouts([]);
+  };
+
+  // Mirror the view into the location hash. Typing in the search box replaces
+  // the current history entry; other changes push one so back/forward step
+  // through them.
+  const urlState = useMemo(() => ({
+    datasetId: datasetId === DEFAULT_DATASET_ID ? null : datasetId,
+    searchTerm,
+    complexity: selectedComplexity,
+    sourceType: selectedSourceType,
+    outcome: selectedOutcome,
+    presence: selectedPresence,
+    similarity: selectedSimilarity,
+    reviewStatus: selectedStatus,
+    assignee: selectedAssignee,
+    outline: selectedOutline,
+    sortField,
+    sortDirection,
+    page: currentPage,
+    expanded: Object.keys(expandedKeys).filter(key => expandedKeys[key]),
+    focus: focus && expandedKeys[focus.key] ? { key: focus.key, diff: !!showRedlining[focus.key] } : null,
+    diffKey,
+    detailKey,
+    view,
+  }), [datasetId, searchTerm, selectedComplexity, selectedSourceType, selectedOutcome, selectedPresence, selectedSimilarity, selectedStatus, selectedAssignee, selectedOutline, sortField, sortDirection, currentPage, expandedKeys, showRedlining, focus, diffKey, detailKey, view]);
+
+  useEffect(() => {
+    const hash = buildHash(urlState);
+    const searchChanged = lastSearchRef.current !== urlState.searchTerm;
+    lastSearchRef.current = urlState.searchTerm;
+
+    if (hash !== window.location.hash) {
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      if (fromUrlRef.current || searchChanged) {
+        window.history.replaceState(null, '', url);
+      } else {
+        window.history.pushState(null, '', url);
+      }
+    }
+    fromUrlRef.current = false;
+  }, [urlState]);
+
+  // Back/forward and hand-edited URLs restore the view they describe
+  useEffect(() => {
+    const onPopState = () => {
+      const state = parseHash(window.location.hash);
+      fromUrlRef.current = true;
+      pendingFocusRef.current = state.focus?.key || null;
+      pendingPageRef.current = !state.focus && state.page > 1 ? state.page : null;
+      lastSearchRef.current = state.searchTerm;
+
+      setDatasetId(getDataset(state.datasetId).id);
+      setSearchTerm(state.searchTerm);
+      setSelectedComplexity(state.complexity);
+      setSelectedSourceType(state.sourceType);
+      setSelectedOutcome(state.outcome);
+      setSelectedPresence(state.presence);
+      setSelectedSimilarity(state.similarity);
+      setSelectedStatus(state.reviewStatus);
+      setSelectedAssignee(state.assignee);
+      setSelectedOutline(state.outline);
+      setSortField(state.sortField);
+      setSortDirection(state.sortDirection);
+      setCurrentPage(state.page);
+      setExpandedKeys(expandedFromUrl(state));
+      setShowRedlining(redliningFromUrl(state));
+      setFocus(state.focus);
+      setDiffKey(state.diffKey);
+      setDetailKey(state.detailKey);
+      setView(state.view);
+    };
+
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
   }, []);
 
+  const copySectionLink = (key) => {
+    setFocus({ key });
+    const hash = buildHash({ ...urlState, focus: { key, diff: !!showRedlining[key] } });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+
+    navigator.clipboard?.writeText(url).then(() => {
+      setCopiedKey(key);
+      setTimeout(() => setCopiedKey(current => (current === key ? null : current)), 2000);
+    }).catch(error => console.error('Error copying link:', error));
+  };
+
+  const showDataset = (rows, name) => {
+    loadTokenRef.current++; // a workbook still loading must not replace the user's file
+    setData(rows);
+    setUserFile({ name, rows });
+    setCustomSourceName(name);
+    setError(null);
+    setLoading(false);
+    goToPage(1);
+    setExpandedKeys({});
+  };
+
+  // Parse a dropped or picked XLSX/CSV/JSON file, asking for a column mapping
+  // when its headers don't match the expected ones
+  const openDatasetFile = async (file) => {
+    if (!file) return;
+    setImporting(true);
+    setImportError(null);
+
+    try {
+      const sheets = await parseDatasetFile(file);
+      const sheet = detectDataSheet(sheets);
+      if (!sheet || sheet.rows.length === 0) {
+        throw new Error(`No rows found in ${file.name}`);
+      }
+
+      // Files exported for the selected year may use its bill-specific headers
+      if (matchesSchema(canonicalHeaders(dataset, sheet.headers))) {
+        showDataset(normalizeRows(dataset, sheet.rows), file.name);
+      } else {
+        setPendingDataset({ fileName: file.name, sheets, sheetName: sheet.name });
+      }
+    } catch (error) {
+      console.error('Error loading dataset file:', error);
+      setImportError(`${file.name}: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const dropHandlers = {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      setDragActive(true);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      setDragActive(false);
+      openDatasetFile(e.dataTransfer.files[0]);
+    },
+  };
+
+  // File picker, drop overlay and mapping dialog, shared by every screen
+  const datasetControls = (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={DATASET_FILE_TYPES}
+        className="hidden"
+        onChange={(e) => {
+          openDatasetFile(e.target.files[0]);
+          e.target.value = ''; // allow re-opening the same file
+        }}
+      />
+      {dragActive && (
+        <div className="fixed inset-0 z-40 bg-blue-600 bg-opacity-10 border-4 border-dashed border-blue-500 flex items-center justify-center pointer-events-none">
+          <div className="bg-white rounded-lg shadow px-6 py-4 text-blue-700 flex items-center gap-2">
+            <Upload size={20} />
+            Drop an XLSX, CSV or JSON file to load it
+          </div>
+        </div>
+      )}
+      {pendingDataset && (
+        <ColumnMappingDialog
+          fileName={pendingDataset.fileName}
+          sheets={pendingDataset.sheets}
+          initialSheetName={pendingDataset.sheetName}
+          onCancel={() => setPendingDataset(null)}
+          onConfirm={(rows) => {
+            showDataset(rows, pendingDataset.fileName);
+            setPendingDataset(null);
+          }}
+        />
+      )}
+    </>
+  );
+
+  const openFileButton = (
+    <button
+      onClick={() => fileInputRef.current?.click()}
+      disabled={importing}
+      className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+    >
+      <Upload size={14} />
+      {importing ? 'Loading file...' : 'Open dataset'}
+    </button>
+  );
+
+  // How much each row changed on the way to the enrolled text
+  useEffect(() => {
+    if (data.length === 0) return undefined;
+
+    const { promise, cancel } = computeSimilarities(data, {
+      onProgress: ({ loaded, total }) => setSimilarity(prev => ({ ...prev, progress: loaded / total })),
+    });
+    promise
+      .then(scores => setSimilarity({ data, scores, progress: null }))
+      .catch(error => console.error('Error computing similarity:', error));
+    return cancel;
+  }, [data]);
+
+  const similarityReady = similarity.data === data;
+  const similarityScores = similarityReady ? similarity.scores : null;
+  const scoreOf = (row) => similarityScores?.get(row);
+
+  // Inverted index over the long text fields, built once per load
+  const searchIndex = useMemo(() => buildSearchIndex(data), [data]);
+
+  // The sections rows are grouped into, all rows of each, and the id its
+  // annotations and review are saved under
+  const grouping = useMemo(() => groupSections(dataset, data, groupings.entries), [dataset, data, groupings.entries]);
+  const rowsByKey = grouping.rowsByKey;
+  const sectionIds = useMemo(() => sectionIdsByGroup(grouping.groups), [grouping]);
+  const groupKeyOf = useMemo(() => new Map([...sectionIds].map(([key, id]) => [id, key])), [sectionIds]);
+  const yearSources = useMemo(
+    () => comparisonSources(dataset, userFile, !!customSourceName),
+    [dataset, userFile, customSourceName]
+  );
+  const referenceIndex = useMemo(() => buildReferenceIndex(dataset, rowsByKey), [dataset, rowsByKey]);
+  const outline = useMemo(() => buildOutline(rowsByKey), [rowsByKey]);
+  const queryContext = useMemo(() => ({
+    annotationOf: row => annotations.entries[sectionIds.get(grouping.keyOf.get(row))],
+    reviewOf: row => reviews.entries[sectionIds.get(grouping.keyOf.get(row))],
+    groupOf: row => grouping.groups.get(grouping.keyOf.get(row)),
+  }), [annotations.entries, reviews.entries, sectionIds, grouping]);
+  const tagSuggestions = useMemo(() => allTags(annotations.entries), [annotations.entries]);
+  const assignees = useMemo(() => reviewAssignees(reviews.entries), [reviews.entries]);
+  const reviewOfGroup = (key) => reviews.entries[sectionIds.get(key)];
+
+  // Filtering trails the input slightly so typing never blocks on a re-filter
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+
+  // Parse the search box once per change; an invalid query is reported in
+  // the input and ignored by the filter until it is fixed
+  const parsedQuery = useMemo(() => {
+    try {
+      return { ast: parseQuery(deferredSearchTerm), error: null };
+    } catch (error) {
+      return { ast: null, error };
+    }
+  }, [deferredSearchTerm]);
+
+  const searchTerms = useMemo(() => collectSearchTerms(parsedQuery.ast), [parsedQuery]);
+  const isRanked = searchTerms.terms.length > 0;
+
   const filteredData = useMemo(() => {
     let filtered = data.filter(row => {
-      const matchesSearch = !searchTerm || 
-        Object.values(row).some(value => 
-          value?.toString().toLowerCase().includes(searchTerm.toLowerCase())
-        );
+      const matchesSearch = matchesQuery(parsedQuery.ast, row, searchIndex, queryContext);
       
       const matchesComplexity = !selectedComplexity || 
         row.reference_complexity === selectedComplexity;
       
       const matchesSourceType = !selectedSourceType || 
         row.source_bill_type === selectedSourceType;
+
+      const matchesOutcome = !selectedOutcome ||
+        rowAgreement(row).outcome === selectedOutcome;
+
+      const matchesSimilarity = !selectedSimilarity ||
+        (similarityScores && similarityBand(row, similarityScores.get(row)) === selectedSimilarity);
       
-      return matchesSearch && matchesComplexity && matchesSourceType;
+      return matchesSearch && matchesComplexity && matchesSourceType && matchesOutcome && matchesSimilarity;
     });
 
     if (sortField) {
+      // Similarity isn't a column of the dataset; rows without a value sort last
+      const valueOf = (row) => (sortField === 'similarity' ? similarityScores?.get(row) : row[sortField]);
       filtered.sort((a, b) => {
-        let aVal = a[sortField];
-        let bVal = b[sortField];
+        let aVal = valueOf(a);
+        let bVal = valueOf(b);
         
+        if (aVal == null || bVal == null) return (aVal == null) - (bVal == null);
         if (typeof aVal === 'string') aVal = aVal.toLowerCase();
         if (typeof bVal === 'string') bVal = bVal.toLowerCase();
         
@@ -253,44 +479,130 @@ const NDAAReferenceInterface = () => {
     }
 
     return filtered;
-  }, [data, searchTerm, selectedComplexity, selectedSourceType, sortField, sortDirection]);
+  }, [data, searchIndex, queryContext, parsedQuery, selectedComplexity, selectedSourceType, selectedOutcome, selectedSimilarity, similarityScores, sortField, sortDirection]);
+
+  // Relevance of each matching row for the free-text part of the query
+  const relevanceScores = useMemo(() => {
+    const scores = new Map();
+    if (isRanked) {
+      filteredData.forEach(row => scores.set(row, scoreRow(searchIndex, row, searchTerms.terms)));
+    }
+    return scores;
+  }, [filteredData, searchIndex, searchTerms, isRanked]);
+
+  // Origin is a property of the whole section, so it's looked up over all rows
+  // rather than the filtered ones
+  const presenceByKey = useMemo(() => presenceByGroup(dataset, rowsByKey), [dataset, rowsByKey]);
 
   // Group the filtered data
-  const groupedData = useMemo(() => {
-    // Group primarily by header, then handle section number conflicts
+  const matchingGroups = useMemo(() => {
+    // Rows go to the section groupSections() placed them in
     const groups = {};
     filteredData.forEach(row => {
-      // Use header as primary key for grouping similar sections
-      const headerKey = row.header;
+      const headerKey = grouping.keyOf.get(row);
       
       if (!groups[headerKey]) {
+        const section = grouping.groups.get(headerKey);
         groups[headerKey] = { 
           key: headerKey, 
           rows: [], 
           sectionNumbers: new Set(),
-          representativeSection: row.referenced_section_number
+          representativeSection: section.section,
+          confidence: section.confidence,
+          review: reviews.entries[sectionIds.get(headerKey)] || null, // status, assignee and when it last changed
         };
       }
       
       groups[headerKey].rows.push(row);
       groups[headerKey].sectionNumbers.add(row.referenced_section_number);
+
+      // Track the best-scoring row so its snippet represents the group
+      const score = relevanceScores.get(row) || 0;
+      if (!groups[headerKey].bestRow || score > groups[headerKey].score) {
+        groups[headerKey].bestRow = row;
+        groups[headerKey].score = score;
+      }
     });
 
-    // Convert to array and sort by the first section number encountered
-    return Object.values(groups).sort((a, b) => {
+    const matching = Object.values(groups).filter(group => (
+      (!selectedPresence || presenceByKey.get(group.key) === selectedPresence) &&
+      matchesReviewFilter(group.review, selectedStatus, selectedAssignee)
+    ));
+
+    // A sort column orders groups by their first row in sorted order. Otherwise
+    // free-text searches list the most relevant groups first, and everything
+    // else goes by section number.
+    return matching.sort((a, b) => {
+      if (sortField) return 0;
+      if (isRanked && b.score !== a.score) return b.score - a.score;
       const aSection = parseInt(a.representativeSection) || 999999;
       const bSection = parseInt(b.representativeSection) || 999999;
       return aSection - bSection;
     });
-  }, [filteredData]);
+  }, [filteredData, relevanceScores, isRanked, sortField, selectedPresence, presenceByKey, reviews.entries, sectionIds, grouping, selectedStatus, selectedAssignee]);
 
-  // Paginate after grouping
-  const paginatedGroups = useMemo(() => {
-    const start = (currentPage - 1) * itemsPerPage;
-    return groupedData.slice(start, start + itemsPerPage);
-  }, [groupedData, currentPage]);
+  // The outline counts what every other filter lets through, so its own
+  // selection applies last
+  const outlineCountsByNode = useMemo(() => outlineCounts(outline, matchingGroups), [outline, matchingGroups]);
+  const groupedData = useMemo(
+    () => (selectedOutline ? matchingGroups.filter(group => inOutlineNode(outline, group.key, selectedOutline)) : matchingGroups),
+    [matchingGroups, outline, selectedOutline]
+  );
+  const selectedOutlineNode = outline.byId.get(selectedOutline);
+
+  const progress = useMemo(
+    () => (showReview ? reviewProgress(rowsByKey, sectionIds, reviews.entries) : null),
+    [showReview, rowsByKey, sectionIds, reviews.entries]
+  );
+
+  const dashboardStats = useMemo(() => (view === 'dashboard' ? billStats(dataset, rowsByKey) : null), [view, dataset, rowsByKey]);
+
+  // Every section is in the list, but only those near the viewport are
+  // rendered. Pages are kept as places to jump to; the one in the URL
+  // follows scrolling.
+  const groupKeys = useMemo(() => groupedData.map(group => group.key), [groupedData]);
+  const virtualList = useVirtualList(groupKeys);
+  const visibleGroups = groupedData.slice(virtualList.start, virtualList.end);
+  const totalPages = Math.max(1, Math.ceil(groupedData.length / itemsPerPage));
+  const visiblePage = Math.floor(virtualList.first / itemsPerPage) + 1;
+  const pageGroups = groupedData.slice((visiblePage - 1) * itemsPerPage, visiblePage * itemsPerPage);
+
+  // A deep-linked section scrolls into view once the data is in and the table is showing
+  useEffect(() => {
+    const key = grouping.resolve(pendingFocusRef.current);
+    if (!key || diffKey || loading || data.length === 0 || !virtualList.containerRef.current) return;
+
+    pendingFocusRef.current = null;
+    const index = groupedData.findIndex(group => group.key === key);
+    if (index !== -1) virtualList.scrollToIndex(index);
+  }, [groupedData, grouping, diffKey, loading, data, virtualList]);
+
+  // Likewise a page from the URL
+  useEffect(() => {
+    const page = pendingPageRef.current;
+    if (page === null || diffKey || loading || data.length === 0 || !virtualList.containerRef.current) return;
 
-  const totalPages = Math.ceil(groupedData.length / itemsPerPage);
+    pendingPageRef.current = null;
+    virtualList.scrollToIndex((page - 1) * itemsPerPage);
+  }, [diffKey, loading, data, virtualList]);
+
+  // Scrolling updates the page in the URL without adding history entries
+  useEffect(() => {
+    if (loading || pendingPageRef.current !== null || pendingFocusRef.current) return;
+    setCurrentPage(page => {
+      if (page !== visiblePage) fromUrlRef.current = true;
+      return visiblePage;
+    });
+  }, [visiblePage, loading]);
+
+  // Jumps to the start of `page`. The first page only scrolls back up to the
+  // results when they're scrolled past, so a new filter leaves the page be.
+  const goToPage = (page) => {
+    setCurrentPage(page);
+    if (page > 1 || virtualList.containerRef.current?.getBoundingClientRect().top < 0) {
+      virtualList.scrollToIndex((page - 1) * itemsPerPage);
+    }
+  };
 
   const handleSort = (field) => {
     if (sortField === field) {
@@ -303,351 +615,348 @@ const NDAAReferenceInterface = () => {
 
   const toggleExpand = (key) => {
     setExpandedKeys(prev => ({ ...prev, [key]: !prev[key] }));
+    if (expandedKeys[key] && focus?.key === key) setFocus(null);
   };
 
   const toggleRedlining = (key) => {
     setShowRedlining(prev => ({ ...prev, [key]: !prev[key] }));
   };
 
-  const openDiffTool = (sources, finalText, agreementPhrases = [], finalLabel = 'H.R. 5009 Final') => {
-    // Create diff tool page content - now supports multiple sources and agreement phrases
-    const diffToolHTML = createDiffToolHTML(sources, finalText, agreementPhrases, finalLabel);
-    
-    // Open in new window - wider for 3 panels
-    const windowWidth = sources.length > 1 ? 1600 : 1200;
-    const newWindow = window.open('', '_blank', `width=${windowWidth},height=800,scrollbars=yes,resizable=yes`);
-    newWindow.document.write(diffToolHTML);
-    newWindow.document.close();
+  const toggleAnnotations = (key) => {
+    setShowAnnotations(prev => ({ ...prev, [key]: !prev[key] }));
   };
 
-  const createDiffToolHTML = (sources, finalText, agreementPhrases, finalLabel) => {
-    const formatText = (text) => {
-      if (!text || typeof text !== 'string') return '';
-      return text
-        .trim()
-        .replace(/(\d+[A-Z]?\.)\s*([A-Z])/g, '$1 $2')
-        .replace(/(\d+[A-Z]?\.\s*[A-Z][^.]*\.)\s*([A-Z])/g, '$1\n\n$2')
-        .replace(/(\([0-9]+\))\s*([a-z])/g, '$1 $2')
-        .replace(/\.\s+/g, '. ')
-        .replace(/\s+/g, ' ')
-        .trim();
-    };
+  const toggleGrouping = (key) => {
+    setShowGrouping(prev => ({ ...prev, [key]: !prev[key] }));
+  };
 
-    const finalClean = formatText(finalText);
-    const sourcesClean = sources.map(source => ({
-      text: formatText(source.text),
-      label: source.label
-    }));
-
-    const sourceLabels = sourcesClean.map(s => s.label).join(' + ');
-    const numPanels = sourcesClean.length + 1; // sources + final
-
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Diff Tool - ${sourceLabels} vs ${finalLabel}</title>
-    <script src="https://unpkg.com/diff@5.1.0/dist/diff.min.js"></script>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #f8f9fa;
-            height: 100vh;
-            overflow: auto;
-        }
-        .diff-header {
-            background: #ffffff;
-            border-bottom: 1px solid #e5e7eb;
-            padding: 16px 24px;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-        }
-        .diff-title {
-            font-size: 20px;
-            font-weight: 600;
-            color: #1f2937;
-            margin-bottom: 8px;
-        }
-        .diff-subtitle {
-            color: #6b7280;
-            font-size: 14px;
-        }
-        .diff-container {
-            display: grid;
-            grid-template-columns: repeat(${numPanels}, 1fr);
-            height: calc(100vh - 180px);
-            gap: 0;
-        }
-        .diff-panel {
-            display: flex;
-            flex-direction: column;
-            background: white;
-            border-right: 1px solid #e5e7eb;
-        }
-        .diff-panel:last-child {
-            border-right: none;
-        }
-        .panel-header {
-            background: #f9fafb;
-            border-bottom: 1px solid #e5e7eb;
-            padding: 12px 16px;
-            font-weight: 500;
-            color: #374151;
-            font-size: 14px;
-            text-align: center;
-        }
-        .panel-content {
-            flex: 1;
-            padding: 16px;
-            overflow-y: auto;
-            overflow-x: hidden;
-            line-height: 1.6;
-            font-size: 14px;
-            white-space: pre-wrap;
-            word-wrap: break-word;
-            max-height: calc(100vh - 240px);
-        }
-        .removed {
-            background-color: #fecaca;
-            color: #991b1b;
-            text-decoration: line-through;
-            font-weight: bold;
-        }
-        .added {
-            background-color: #bbf7d0;
-            color: #166534;
-            font-weight: bold;
-        }
-        .status-bar {
-            background: #eff6ff;
-            color: #1e40af;
-            padding: 8px 16px;
-            font-size: 12px;
-            border-bottom: 1px solid #e5e7eb;
-        }
-        .final-panel {
-            background: #f0fdf4 !important;
-        }
-        .agreement-phrases {
-            background: #fef3c7;
-            border-bottom: 1px solid #e5e7eb;
-            padding: 16px 24px;
-            border-left: 4px solid #f59e0b;
-        }
-        .agreement-title {
-            font-size: 16px;
-            font-weight: 600;
-            color: #92400e;
-            margin-bottom: 8px;
-        }
-        .agreement-content {
-            color: #78350f;
-            font-size: 14px;
-            line-height: 1.5;
-        }
-        .agreement-item {
-            margin-bottom: 6px;
-            padding-left: 12px;
-            position: relative;
-        }
-        .agreement-item:before {
-            content: "•";
-            position: absolute;
-            left: 0;
-            color: #f59e0b;
-            font-weight: bold;
-        }
-    </style>
-</head>
-<body>
-    <div class="diff-header">
-        <div class="diff-title">Legislative Text Comparison</div>
-        <div class="diff-subtitle">${sourceLabels} vs ${finalLabel}</div>
-    </div>
-    
-    ${agreementPhrases && agreementPhrases.length > 0 ? `
-    <div class="agreement-phrases">
-        <div class="agreement-title">Conference Committee Agreement</div>
-        <div class="agreement-content">
-            ${agreementPhrases.map(phrase => `<div class="agreement-item">${phrase}</div>`).join('')}
-        </div>
-    </div>
-    ` : ''}
-    
-    <div class="status-bar" id="statusBar">
-        Analyzing differences...
-    </div>
-    
-    <div class="diff-container">
-        ${sourcesClean.map((source, index) => `
-            <div class="diff-panel">
-                <div class="panel-header">${source.label}</div>
-                <div class="panel-content" id="sourceContent${index}"></div>
-            </div>
-        `).join('')}
-        <div class="diff-panel">
-            <div class="panel-header final-panel">${finalLabel}</div>
-            <div class="panel-content" id="finalContent"></div>
-        </div>
-    </div>
+  // Notes, reviews and briefing book picks follow the sections they were saved for
+  const moveSectionData = (moves) => {
+    annotations.move(moves);
+    reviews.move(moves);
+    basket.move(moves);
+  };
 
-    <script>
-        const sources = ${JSON.stringify(sourcesClean)};
-        const finalText = ${JSON.stringify(finalClean)};
-        
-        let totalChanges = 0;
-        
-        // Process each source against final text
-        sources.forEach((source, index) => {
-            const diff = Diff.diffWords(source.text, finalText);
-            
-            let sourceHTML = '';
-            let finalHTML = '';
-            
-            diff.forEach(part => {
-                const value = part.value;
-                if (part.removed) {
-                    sourceHTML += '<span class="removed">' + escapeHtml(value) + '</span>';
-                    totalChanges++;
-                } else if (part.added) {
-                    finalHTML += '<span class="added">' + escapeHtml(value) + '</span>';
-                    totalChanges++;
-                } else {
-                    sourceHTML += escapeHtml(value);
-                    finalHTML += escapeHtml(value);
-                }
-            });
-            
-            document.getElementById('sourceContent' + index).innerHTML = sourceHTML;
-            
-            // Only update final content once (from first source)
-            if (index === 0) {
-                document.getElementById('finalContent').innerHTML = finalHTML;
-            }
-        });
-        
-        const statusBar = document.getElementById('statusBar');
-        if (totalChanges > 0) {
-            statusBar.textContent = \`✨ \${totalChanges} total changes detected across all sources\`;
-            statusBar.style.background = '#eff6ff';
-            statusBar.style.color = '#1e40af';
-        } else {
-            statusBar.textContent = '✅ No differences found - all texts are identical';
-            statusBar.style.background = '#f0fdf4';
-            statusBar.style.color = '#166534';
-        }
-        
-        function escapeHtml(text) {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
-        }
-    </script>
-</body>
-</html>`;
+  // Manual regrouping keeps the sections involved open; a merged section
+  // takes the header of one of them
+  const mergeGroups = (key, otherKey) => {
+    moveSectionData(groupings.merge([grouping.groups.get(key), grouping.groups.get(otherKey)]));
+    setExpandedKeys(prev => ({ ...prev, [key]: true, [otherKey]: true }));
+    setShowGrouping(prev => ({ ...prev, [key]: true, [otherKey]: true }));
   };
 
+  const toggleCrossYear = (key) => {
+    setShowCrossYear(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const toggleProvenance = (key) => {
+    setShowProvenance(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const showView = (id) => {
+    setView(id);
+    window.scrollTo(0, 0);
+  };
+
+  // A dashboard bar lists its sections in the table with only its filter applied
+  const applyDashboardFilter = (filter) => {
+    const nextSearch = filter.searchTerm || '';
+    lastSearchRef.current = nextSearch; // push a history entry so Back returns to the dashboard
+    setSearchTerm(nextSearch);
+    setSelectedComplexity(filter.complexity || '');
+    setSelectedSourceType('');
+    setSelectedOutcome(filter.outcome || '');
+    setSelectedPresence(filter.presence || '');
+    setSelectedSimilarity('');
+    setSelectedStatus('');
+    setSelectedAssignee('');
+    setSelectedOutline(filter.outline || '');
+    goToPage(1);
+    setView('table');
+    window.scrollTo(0, 0);
+  };
+
+  // Reference links and graph nodes open the section they point at, clearing
+  // the filters if they hide it
+  const goToSection = (target) => {
+    const key = grouping.resolve(target);
+    if (!rowsByKey.has(key)) return;
+    setExpandedKeys(prev => ({ ...prev, [key]: true }));
+    setFocus({ key });
+
+    const index = groupedData.findIndex(group => group.key === key);
+    if (index === -1) {
+      pendingFocusRef.current = key; // placed once the unfiltered results are grouped
+      applyDashboardFilter({});
+      return;
+    }
+    setView('table');
+    pendingFocusRef.current = key; // scrolled to once the table is showing
+  };
+
+  // The diff tool takes over the page at #/diff/<key>; Back returns to the
+  // section in the results list
+  const openDiffTool = (key) => {
+    setDiffKey(key);
+    window.scrollTo(0, 0);
+  };
+
+  const closeDiffTool = () => {
+    pendingFocusRef.current = diffKey;
+    setDiffKey(null);
+  };
+
+  // The detail page takes over at #/detail/<key> and steps through the
+  // filtered and sorted results. Stepping replaces the history entry, so Back
+  // returns to the results list at the section last shown.
+  //
+  // The section shown can leave the results, e.g. once it's marked reviewed
+  // while stepping through unreviewed ones, or be opened from a reference the
+  // filters hide. Stepping then goes on from the anchor: the position it was
+  // opened at, or the one after the section that linked to it.
+  const showDetail = (key, fallbackAnchor) => {
+    const index = groupedData.findIndex(group => group.key === key);
+    setDetailAnchor(index !== -1 ? index : fallbackAnchor);
+    setDetailKey(key);
+    window.scrollTo(0, 0);
+  };
+
+  const openDetail = (key) => showDetail(key, 0);
+
+  const stepDetail = (key) => {
+    fromUrlRef.current = true;
+    showDetail(key, detailAnchor);
+  };
+
+  const closeDetail = () => {
+    pendingFocusRef.current = detailKey;
+    setDetailKey(null);
+  };
+
+  const closePopout = (key) => {
+    setPopouts(prev => prev.filter(popout => popout.key !== key));
+  };
+
+  // Moves a section's diff tool into its own window, which stays live
+  // alongside the results list
+  const popOutDiffTool = (key) => {
+    const existing = popouts.find(popout => popout.key === key);
+    if (existing && !existing.popup.closed) {
+      existing.popup.focus();
+    } else {
+      const { sources } = diffInputsForRows(dataset, rowsByKey.get(key) || []);
+      const windowWidth = sources.length > 1 ? 1600 : 1200;
+      const popup = window.open('', '_blank', `width=${windowWidth},height=800,scrollbars=yes,resizable=yes`);
+      if (!popup) return; // blocked; the in-page view stays open
+      setPopouts(prev => [...prev.filter(popout => popout.key !== key), { key, popup }]);
+    }
+    if (diffKey === key) closeDiffTool();
+  };
+
+  // Popped-out windows have nothing to show once this page goes away
+  useEffect(() => {
+    const closeAll = () => popouts.forEach(({ popup }) => popup.close());
+    window.addEventListener('pagehide', closeAll);
+    return () => window.removeEventListener('pagehide', closeAll);
+  }, [popouts]);
+
+  const diffViewInputs = useMemo(
+    () => diffKey && diffInputsForRows(dataset, rowsByKey.get(grouping.resolve(diffKey)) || []),
+    [diffKey, dataset, rowsByKey, grouping]
+  );
+
+  // Where the detail page's section is in the current results, -1 if they leave it out
+  const detailGroupKey = detailKey && grouping.resolve(detailKey);
+  const detailIndex = detailKey ? groupedData.findIndex(group => group.key === detailGroupKey) : -1;
+
+  const popoutInputs = useMemo(
+    () => popouts.map(popout => ({
+      ...popout,
+      inputs: diffInputsForRows(dataset, rowsByKey.get(popout.key) || []),
+    })),
+    [popouts, dataset, rowsByKey]
+  );
+
   const complexityOptions = [...new Set(data.map(row => row.reference_complexity))].filter(Boolean);
   const sourceTypeOptions = [...new Set(data.map(row => row.source_bill_type))].filter(Boolean);
+  const outcomeOptions = CONFERENCE_OUTCOMES.filter(outcome => data.some(row => rowAgreement(row).outcome === outcome.id));
 
-  const DetailModal = ({ row, onClose }) => (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
-        <div className="p-6">
-          <div className="flex justify-between items-center mb-4">
-            <h2 className="text-xl font-bold text-gray-800">Section Details</h2>
-            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
-              <X size={24} />
-            </button>
-          </div>
-          
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-            <div>
-              <h3 className="font-semibold text-gray-700 mb-2">Basic Information</h3>
-              <div className="space-y-2 text-sm">
-                <div><strong>Section:</strong> {row.referenced_section_number}</div>
-                <div><strong>Header:</strong> {row.header}</div>
-                <div><strong>Complexity:</strong> <span className={`px-2 py-1 rounded text-xs ${
-                  row.reference_complexity === 'No References' ? 'bg-gray-100 text-gray-800' :
-                  row.reference_complexity === 'Single Reference' ? 'bg-blue-100 text-blue-800' :
-                  'bg-orange-100 text-orange-800'
-                }`}>{row.reference_complexity}</span></div>
-                <div><strong>Source Type:</strong> {row.source_bill_type}</div>
-                <div><strong>Word Count:</strong> {row.word_count}</div>
-                <div><strong>Text Length:</strong> {row.text_length}</div>
-              </div>
-            </div>
-            
-            <div>
-              <h3 className="font-semibold text-gray-700 mb-2">References</h3>
-              <div className="space-y-2 text-sm">
-                <div><strong>Bill References:</strong> {row.all_references_found}</div>
-                <div><strong>Agreement Phrases:</strong> {row.agreement_phrases}</div>
-                <div><strong>Section Found in Source:</strong> {row.section_found_in_source ? 'Yes' : 'No'}</div>
-              </div>
-            </div>
-          </div>
-          
-          <div className="mb-4">
-            <h3 className="font-semibold text-gray-700 mb-2">Full Text</h3>
-            <div className="bg-gray-50 p-4 rounded-lg text-sm max-h-60 overflow-y-auto whitespace-pre-wrap">
-              {row.full_text}
-            </div>
-          </div>
-          
-          {row.source_full_section_text && (
-            <div className="mb-4">
-              <h3 className="font-semibold text-gray-700 mb-2">Source Section Text</h3>
-              <div className="bg-blue-50 p-4 rounded-lg text-sm max-h-60 overflow-y-auto whitespace-pre-wrap">
-                {row.source_full_section_text}
-              </div>
-            </div>
-          )}
-          
-          {/* NEW: ENR BILL TEXT */}
-          {row['H.R. 5009 ENR Text'] && (
-            <div>
-              <h3 className="font-semibold text-gray-700 mb-2">H.R. 5009 Enrolled Bill Text</h3>
-              <div className="bg-green-50 p-4 rounded-lg text-sm max-h-60 overflow-y-auto whitespace-pre-wrap">
-                {row['H.R. 5009 ENR Text']}
-              </div>
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64" {...dropHandlers}>
+        {datasetControls}
+        <div className="w-80 text-center">
+          <div className="text-lg">Loading NDAA Bill References...</div>
+          {loadProgress && (
+            <div className="mt-3 text-sm text-gray-600">
+              {LOAD_STAGE_LABELS[loadProgress.stage] || 'Loading'}
+              {loadProgress.stage === 'download' && loadProgress.total > 0 && (
+                <>
+                  {' '}({Math.round((loadProgress.loaded / loadProgress.total) * 100)}%)
+                  <div className="mt-2 h-2 bg-gray-200 rounded overflow-hidden">
+                    <div
+                      className="h-2 bg-blue-600"
+                      style={{ width: `${(loadProgress.loaded / loadProgress.total) * 100}%` }}
+                    />
+                  </div>
+                </>
+              )}
             </div>
           )}
         </div>
       </div>
-    </div>
-  );
-
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <div className="text-lg">Loading NDAA Bill References...</div>
-      </div>
     );
   }
 
   if (error) {
     return (
-      <div className="flex items-center justify-center h-64">
+      <div className="flex items-center justify-center h-64" {...dropHandlers}>
+        {datasetControls}
         <div className="text-lg text-red-600">
           Error loading data: {error}
           <div className="text-sm text-gray-600 mt-2">
-            Make sure NDAA_Bill_References_V5.xlsx is in the public folder
+            Make sure {datasetFileName(dataset)} is in the public folder, or open or drop a dataset file
           </div>
+          <div className="mt-3 flex justify-center">{openFileButton}</div>
+          {importError && <div className="text-sm mt-2">{importError}</div>}
         </div>
       </div>
     );
   }
 
-  return (
-    <div className="p-6 max-w-7xl mx-auto">
-      <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-800 mb-2">NDAA Bill References Interface</h1>
-        <p className="text-gray-600">Browse and search through {data.length} bill references</p>
+  const popoutWindows = popoutInputs.map(({ key, popup, inputs }) => (
+    <PopoutWindow key={key} popup={popup} title={`Diff Tool - ${key}`} onClose={() => closePopout(key)}>
+      <MultiDiffView title={key} {...inputs} finalLabel={finalLabel(dataset)} />
+    </PopoutWindow>
+  ));
+
+  const pageHeader = (
+    <>
+      <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">{datasetLabel(dataset)} Bill References Interface</h1>
+          <p className="text-gray-600">Browse and search through {data.length} bill references</p>
+          <p className="text-xs text-gray-500 mt-1">
+            {dataset.title} · Data: {customSourceName || datasetFileName(dataset)}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {VIEWS.filter(entry => entry.id !== view).map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => showView(entry.id)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50"
+            >
+              {entry.icon}
+              {entry.label}
+            </button>
+          ))}
+          <select
+            value={datasetId}
+            onChange={(e) => changeDataset(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+            title="Fiscal year"
+          >
+            {DATASETS.map(entry => (
+              <option key={entry.id} value={entry.id}>{datasetLabel(entry)}</option>
+            ))}
+          </select>
+          {customSourceName && (
+            <button
+              onClick={() => setReloadKey(key => key + 1)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50"
+            >
+              <RotateCcw size={14} />
+              Published data
+            </button>
+          )}
+          {openFileButton}
+        </div>
       </div>
+      {importError && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex justify-between items-center">
+          <span>Could not load {importError}</span>
+          <button onClick={() => setImportError(null)} className="text-red-500 hover:text-red-700">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+    </>
+  );
+
+  if (diffKey) {
+    return (
+      <div className="p-6 max-w-7xl mx-auto">
+        {popoutWindows}
+        <MultiDiffView
+          title={diffKey}
+          {...diffViewInputs}
+          finalLabel={finalLabel(dataset)}
+          onClose={closeDiffTool}
+          onPopOut={() => popOutDiffTool(diffKey)}
+        />
+      </div>
+    );
+  }
+
+  if (detailKey) {
+    // Outside the results, the anchor sits between the sections around it
+    const previous = detailIndex !== -1 ? groupedData[detailIndex - 1] : groupedData[detailAnchor - 1];
+    const next = detailIndex !== -1 ? groupedData[detailIndex + 1] : groupedData[detailAnchor];
+
+    return (
+      <div className="p-6 max-w-7xl mx-auto">
+        {popoutWindows}
+        <SectionDetail
+          key={detailGroupKey}
+          group={grouping.groups.get(detailGroupKey)}
+          dataset={dataset}
+          index={detailIndex}
+          total={groupedData.length}
+          onPrevious={previous ? () => stepDetail(previous.key) : null}
+          onNext={next ? () => stepDetail(next.key) : null}
+          onClose={closeDetail}
+          onOpenDiffTool={() => openDiffTool(detailGroupKey)}
+          review={reviewOfGroup(detailGroupKey)}
+          assignees={assignees}
+          onReviewChange={patch => reviews.update(sectionIds.get(detailGroupKey), patch)}
+          referenceIndex={referenceIndex}
+          onGo={target => showDetail(grouping.resolve(target), detailIndex !== -1 ? detailIndex + 1 : detailAnchor)}
+          scoreOf={scoreOf}
+          redlineOptions={redlineOptions}
+          onRedlineOptionsChange={setRedlineOptions}
+        />
+      </div>
+    );
+  }
+
+  if (view === 'dashboard') {
+    return (
+      <div className="p-6 max-w-7xl mx-auto" {...dropHandlers}>
+        {datasetControls}
+        {popoutWindows}
+        {pageHeader}
+        <Dashboard stats={dashboardStats} onSelect={applyDashboardFilter} />
+      </div>
+    );
+  }
+
+  if (view === 'graph') {
+    return (
+      <div className="p-6 max-w-7xl mx-auto" {...dropHandlers}>
+        {datasetControls}
+        {popoutWindows}
+        {pageHeader}
+        <ReferenceGraph groups={groupedData} onSelect={goToSection} />
+      </div>
+    );
+  }
 
+  return (
+    <div className="p-6 max-w-7xl mx-auto" {...dropHandlers}>
+      {datasetControls}
+      {popoutWindows}
+      {pageHeader}
       {/* Search and Filters */}
       <div className="mb-6 space-y-4">
         <div className="flex flex-wrap gap-4">
@@ -656,22 +965,54 @@ const NDAAReferenceInterface = () => {
               <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search in all fields..."
+                placeholder='Search, e.g. header:"pay raise" type:senate words:>500'
                 value={searchTerm}
                 onChange={(e) => {
                   setSearchTerm(e.target.value);
-                  setCurrentPage(1); // Reset to first page when searching
+                  goToPage(1); // Reset to first page when searching
                 }}
-                className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                aria-invalid={!!parsedQuery.error}
+                className={`pl-10 pr-10 py-2 border rounded-lg w-full focus:ring-2 focus:border-transparent ${
+                  parsedQuery.error ? 'border-red-400 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+                }`}
               />
+              <button
+                type="button"
+                onClick={() => setShowQueryHelp(!showQueryHelp)}
+                className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                title="Search syntax"
+              >
+                <HelpCircle className="h-4 w-4" />
+              </button>
             </div>
+            {parsedQuery.error && (
+              <div className="mt-1 text-xs text-red-600 flex items-center gap-1">
+                <AlertCircle size={12} />
+                {parsedQuery.error.message}
+                {parsedQuery.error.position !== undefined && ` (at character ${parsedQuery.error.position + 1})`}
+              </div>
+            )}
+            {showQueryHelp && (
+              <div className="mt-2 p-3 bg-white border border-gray-200 rounded-lg text-xs text-gray-700 space-y-2">
+                <div>
+                  Combine terms with <code>AND</code> (implicit), <code>OR</code>, <code>NOT</code> or <code>-term</code> and
+                  group with parentheses. Use <code>"quoted phrases"</code>, <code>/regex/</code>, numeric
+                  comparisons (<code>words:&gt;500</code>) and ranges (<code>sec:100..199</code>).
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+                  {Object.entries(QUERY_FIELDS).map(([field, { description }]) => (
+                    <div key={field}><code className="text-blue-700">{field}:</code> {description}</div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
           
           <select
             value={selectedComplexity}
             onChange={(e) => {
               setSelectedComplexity(e.target.value);
-              setCurrentPage(1);
+              goToPage(1);
             }}
             className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
           >
@@ -685,84 +1026,338 @@ const NDAAReferenceInterface = () => {
             value={selectedSourceType}
             onChange={(e) => {
               setSelectedSourceType(e.target.value);
-              setCurrentPage(1);
+              goToPage(1);
             }}
             className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
           >
             <option value="">All Source Types</option>
             {sourceTypeOptions.map(option => (
-              <option key={option} value={option}>{option}</option>
+              <option key={option} value={option}>{sourceLabel(dataset, option)}</option>
+            ))}
+          </select>
+
+          <select
+            value={selectedOutcome}
+            onChange={(e) => {
+              setSelectedOutcome(e.target.value);
+              goToPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All Outcomes</option>
+            {outcomeOptions.map(outcome => (
+              <option key={outcome.id} value={outcome.id}>{outcome.label}</option>
+            ))}
+          </select>
+
+          <select
+            value={selectedPresence}
+            onChange={(e) => {
+              setSelectedPresence(e.target.value);
+              goToPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Any Origin</option>
+            {PRESENCE_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+
+          <select
+            value={selectedSimilarity}
+            onChange={(e) => {
+              setSelectedSimilarity(e.target.value);
+              goToPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">
+              {similarityReady || similarity.progress === null
+                ? 'Any Change'
+                : `Scoring changes… ${Math.round(similarity.progress * 100)}%`}
+            </option>
+            {SIMILARITY_BANDS.map(band => (
+              <option key={band.id} value={band.id}>{band.label}</option>
+            ))}
+          </select>
+
+          <select
+            value={selectedStatus}
+            onChange={(e) => {
+              setSelectedStatus(e.target.value);
+              goToPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Any Review Status</option>
+            {REVIEW_STATUSES.map(status => (
+              <option key={status.id} value={status.id}>{status.label}</option>
+            ))}
+          </select>
+
+          <select
+            value={selectedAssignee}
+            onChange={(e) => {
+              setSelectedAssignee(e.target.value);
+              goToPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Any Assignee</option>
+            <option value={UNASSIGNED}>Unassigned</option>
+            {/* keep a linked assignee selectable before reviews have loaded */}
+            {[...new Set([...assignees, selectedAssignee])].filter(name => name && name !== UNASSIGNED).map(name => (
+              <option key={name} value={name}>{name}</option>
             ))}
           </select>
         </div>
         
-        <div className="text-sm text-gray-600">
-          Showing {paginatedGroups.length} groups of {groupedData.length} total sections ({filteredData.length} individual records)
+        <div className="flex flex-wrap justify-between items-center gap-2">
+          <div className="text-sm text-gray-600">
+            Showing {groupedData.length} sections ({filteredData.length} individual records)
+            {selectedOutlineNode && (
+              <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded bg-blue-100 text-blue-800 text-xs">
+                {outlineNodeLabel(selectedOutlineNode)}
+                <button onClick={() => { setSelectedOutline(''); goToPage(1); }} title="Show the whole bill">
+                  <X size={12} />
+                </button>
+              </span>
+            )}
+            {isRanked && !sortField && <span className="ml-2 text-gray-500">· sorted by relevance</span>}
+            {(selectedSimilarity || sortField === 'similarity') && !similarityReady && (
+              <span className="ml-2 text-gray-500">· scoring changes…</span>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowOutline(!showOutline)}
+              className={`px-4 py-2 border rounded-lg flex items-center gap-2 ${
+                showOutline ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              <ListTree size={16} />
+              Outline
+            </button>
+            <TeamFileButtons
+              kind="groupings"
+              label="Groupings"
+              dataset={dataset}
+              entries={groupings.entries}
+              parse={parseGroupingFile}
+              onMerge={groupings.mergeFile}
+            />
+            <TeamFileButtons
+              kind="annotations"
+              label="Annotations"
+              dataset={dataset}
+              entries={annotations.entries}
+              parse={parseAnnotationFile}
+              onMerge={annotations.merge}
+            />
+            <button
+              onClick={() => setShowReview(!showReview)}
+              className={`px-4 py-2 border rounded-lg flex items-center gap-2 ${
+                showReview ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              <ListChecks size={16} />
+              Review
+            </button>
+            <button
+              onClick={() => setShowBasket(!showBasket)}
+              className={`px-4 py-2 border rounded-lg flex items-center gap-2 ${
+                showBasket ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              <BookOpen size={16} />
+              Briefing book ({basket.ids.length})
+            </button>
+            <ExportMenu
+              groups={groupedData}
+              context={{ dataset, scores: similarityScores, ...queryContext }}
+              fileName={`ndaa-${dataset.id}`}
+              scoring={!similarityReady}
+            />
+          </div>
         </div>
       </div>
 
-      {/* Results Table */}
-      <div className="bg-white rounded-lg shadow overflow-hidden">
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-20">
-                  Actions
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Header
-                </th>
-                <th 
-                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                  onClick={() => handleSort('reference_complexity')}
-                >
-                  Complexity
-                  {sortField === 'reference_complexity' && (
-                    sortDirection === 'asc' ? <ChevronUp className="inline ml-1 h-4 w-4" /> : <ChevronDown className="inline ml-1 h-4 w-4" />
-                  )}
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Source Type
-                </th>
-                <th 
-                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                  onClick={() => handleSort('word_count')}
-                >
-                  Words
-                  {sortField === 'word_count' && (
-                    sortDirection === 'asc' ? <ChevronUp className="inline ml-1 h-4 w-4" /> : <ChevronDown className="inline ml-1 h-4 w-4" />
-                  )}
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  References
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {paginatedGroups.map(group => {
+      {showReview && (
+        <ReviewPanel
+          progress={progress}
+          dataset={dataset}
+          entries={reviews.entries}
+          parse={parseReviewFile}
+          onMerge={reviews.merge}
+          onSelect={applyDashboardFilter}
+        />
+      )}
+
+      {showBasket && (
+        <BriefingBasket
+          ids={basket.ids}
+          keyOf={groupKeyOf}
+          rowsByKey={rowsByKey}
+          dataset={dataset}
+          onRemove={basket.remove}
+          onClear={basket.clear}
+          onOpen={openDiffTool}
+        />
+      )}
+
+      <div className="flex gap-6 items-start">
+        {showOutline && (
+          <OutlineSidebar
+            outline={outline}
+            counts={outlineCountsByNode}
+            total={matchingGroups.length}
+            selected={selectedOutline}
+            onSelect={(id) => {
+              setSelectedOutline(id);
+              goToPage(1);
+            }}
+            onClose={() => setShowOutline(false)}
+          />
+        )}
+
+        {/* Results Table */}
+        <div className="flex-1 min-w-0 bg-white rounded-lg shadow overflow-clip">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-20">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={pageGroups.length > 0 && pageGroups.every(group => basket.has(sectionIds.get(group.key)))}
+                        onChange={(e) => {
+                          const ids = pageGroups.map(group => sectionIds.get(group.key));
+                          if (e.target.checked) basket.add(ids);
+                          else basket.removeAll(ids);
+                        }}
+                        title="Add this page to the briefing book"
+                      />
+                      Actions
+                    </div>
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Header
+                  </th>
+                  <th 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                    onClick={() => handleSort('reference_complexity')}
+                  >
+                    Complexity
+                    {sortField === 'reference_complexity' && (
+                      sortDirection === 'asc' ? <ChevronUp className="inline ml-1 h-4 w-4" /> : <ChevronDown className="inline ml-1 h-4 w-4" />
+                    )}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Source Type
+                  </th>
+                  <th 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                    onClick={() => handleSort('word_count')}
+                  >
+                    Words
+                    {sortField === 'word_count' && (
+                      sortDirection === 'asc' ? <ChevronUp className="inline ml-1 h-4 w-4" /> : <ChevronDown className="inline ml-1 h-4 w-4" />
+                    )}
+                  </th>
+                  <th 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                    onClick={() => handleSort('similarity')}
+                  >
+                    Similarity
+                    {sortField === 'similarity' && (
+                      sortDirection === 'asc' ? <ChevronUp className="inline ml-1 h-4 w-4" /> : <ChevronDown className="inline ml-1 h-4 w-4" />
+                    )}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    References
+                  </th>
+                </tr>
+              </thead>
+              <tbody ref={virtualList.containerRef}>
+                <tr aria-hidden="true"><td colSpan={7} className="p-0" style={{ height: virtualList.paddingTop }} /></tr>
+              </tbody>
+              {visibleGroups.map(group => {
                 const first = group.rows[0];             // representative
                 const isOpen = expandedKeys[group.key];  // expanded?
 
                 return (
-                  <React.Fragment key={group.key}>
+                  <tbody key={group.key} ref={virtualList.measure(group.key)} className="bg-white divide-y divide-gray-200">
                     {/* ------------- PARENT ROW (always visible) ------------- */}
-                    <tr className="hover:bg-gray-50">
+                    <tr id={groupElementId(group.key)} className={focus?.key === group.key ? 'bg-blue-50' : 'hover:bg-gray-50'}>
                       <td className="px-6 py-4 text-sm">
-                        <button
-                          onClick={() => toggleExpand(group.key)}
-                          className="text-gray-600 hover:text-gray-900 flex items-center gap-1"
-                        >
-                          {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
-                          {group.rows.length > 1 ? (
-                            <span className="ml-1 text-blue-600">{group.rows.length} versions</span>
-                          ) : (
-                            'Details'
-                          )}
-                        </button>
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={basket.has(sectionIds.get(group.key))}
+                            onChange={() => basket.toggle(sectionIds.get(group.key))}
+                            title="Include in the briefing book"
+                          />
+                          <button
+                            onClick={() => toggleExpand(group.key)}
+                            className="text-gray-600 hover:text-gray-900 flex items-center gap-1"
+                          >
+                            {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                            {group.rows.length > 1 ? (
+                              <span className="ml-1 text-blue-600">{group.rows.length} versions</span>
+                            ) : (
+                              'Details'
+                            )}
+                          </button>
+                          <button
+                            onClick={() => openDetail(group.key)}
+                            className="text-gray-500 hover:text-gray-900"
+                            title="Open on a page of its own"
+                          >
+                            <Eye size={16} />
+                          </button>
+                        </div>
                       </td>
-                      <td className="px-6 py-4 text-sm text-gray-900 max-w-xs truncate">
-                        {first.header}
+                      <td className="px-6 py-4 text-sm text-gray-900 max-w-xs">
+                        <div className="truncate">{first.header}</div>
+                        {(() => {
+                          const agreement = group.rows.map(rowAgreement).find(({ outcome }) => outcome);
+                          return agreement && <div className="mt-1"><OutcomeBadge {...agreement} /></div>;
+                        })()}
+                        {group.review && <div className="mt-1"><ReviewBadge review={group.review} /></div>}
+                        {group.confidence.level !== 'high' && <div className="mt-1"><GroupingBadge confidence={group.confidence} /></div>}
+                        {(() => {
+                          const annotation = annotations.entries[sectionIds.get(group.key)];
+                          if (!annotation) return null;
+
+                          return (
+                            <div className="mt-1 flex flex-wrap items-center gap-1">
+                              {annotation.notes.trim() && <StickyNote size={14} className="text-gray-500" aria-label="Has notes" />}
+                              {annotation.tags.map(tag => (
+                                <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800">{tag}</span>
+                              ))}
+                            </div>
+                          );
+                        })()}
+                        {(() => {
+                          const snippet = (isRanked || searchTerms.regexes.length > 0) &&
+                            buildSnippet(searchIndex, group.bestRow, searchTerms.terms, searchTerms.regexes);
+                          if (!snippet) return null;
+
+                          return (
+                            <div className="mt-1 text-xs text-gray-600 whitespace-normal">
+                              <span className="text-gray-400 mr-1">{snippet.label}:</span>
+                              {snippet.prefix && '…'}
+                              {snippet.segments.map((segment, index) => (
+                                segment.highlight
+                                  ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{segment.text}</mark>
+                                  : <span key={index}>{segment.text}</span>
+                              ))}
+                              {snippet.suffix && '…'}
+                            </div>
+                          );
+                        })()}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm">
                         <span className={`px-2 py-1 rounded-full text-xs ${
@@ -775,26 +1370,119 @@ const NDAAReferenceInterface = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {/* list distinct bill types in the group */}
-                        {[...new Set(group.rows.map(r => r.source_bill_type))].join(', ')}
+                        {[...new Set(group.rows.map(r => sourceLabel(dataset, r.source_bill_type)))].join(', ')}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {first.word_count}
                       </td>
-                      <td className="px-6 py-4 text-sm text-gray-900 max-w-xs truncate">
-                        {first.all_references_found || 'None'}
+                      <td className="px-6 py-4 text-sm">
+                        {(() => {
+                          if (!similarityReady) return <SimilarityBadge score={undefined} />;
+                          const row = mostChangedRow(group.rows, similarityScores);
+                          if (!row) return <SimilarityBadge score={null} />;
+                          return <SimilarityBadge score={scoreOf(row)} band={similarityBand(row, scoreOf(row))} delta={charDelta(row)} />;
+                        })()}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900 max-w-xs">
+                        <ReferenceLinks rows={group.rows} groupKey={group.key} index={referenceIndex} onGo={goToSection} />
                       </td>
                     </tr>
 
                     {/* ------------- EXPANDED PANEL (per‑version rows) ------- */}
                     {isOpen && (
                       <tr>
-                        <td colSpan={6} className="bg-gray-50 p-4">
+                        <td colSpan={7} className="bg-gray-50 p-4">
+                          {/* Panel toolbar: shareable link and inline redline */}
+                          <div className="flex flex-wrap justify-end gap-2 mb-4">
+                            <ReviewControls
+                              review={reviewOfGroup(group.key)}
+                              assignees={assignees}
+                              onChange={patch => reviews.update(sectionIds.get(group.key), patch)}
+                            />
+                            <button
+                              onClick={() => toggleAnnotations(group.key)}
+                              className="border border-gray-300 bg-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-gray-100"
+                            >
+                              <StickyNote size={14} />
+                              {showAnnotations[group.key] ? 'Hide Notes' : 'Notes & Tags'}
+                            </button>
+                            <button
+                              onClick={() => toggleGrouping(group.key)}
+                              className="border border-gray-300 bg-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-gray-100"
+                            >
+                              <Combine size={14} />
+                              {showGrouping[group.key] ? 'Hide Grouping' : 'Grouping'}
+                            </button>
+                            <button
+                              onClick={() => copySectionLink(group.key)}
+                              className="border border-gray-300 bg-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-gray-100"
+                            >
+                              {copiedKey === group.key ? <Check size={14} /> : <Link size={14} />}
+                              {copiedKey === group.key ? 'Link copied' : 'Copy link'}
+                            </button>
+                            {group.rows.some(row => row[ENR_COLUMN]) && (
+                              <button
+                                onClick={() => toggleRedlining(group.key)}
+                                className="bg-blue-600 text-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-blue-700"
+                              >
+                                <GitCompare size={14} />
+                                {showRedlining[group.key] ? 'Hide Redline' : 'Show Redline'}
+                              </button>
+                            )}
+                          </div>
+
+                          {showAnnotations[group.key] && (
+                            <AnnotationPanel
+                              annotation={annotations.entries[sectionIds.get(group.key)]}
+                              rows={rowsByKey.get(group.key) || group.rows}
+                              dataset={dataset}
+                              tagSuggestions={tagSuggestions}
+                              onChange={annotation => annotations.update(sectionIds.get(group.key), annotation)}
+                            />
+                          )}
+
+                          {showGrouping[group.key] && grouping.groups.has(group.key) && (
+                            <GroupingPanel
+                              key={rowsByKey.get(group.key).map(rowId).join('\n')}
+                              group={grouping.groups.get(group.key)}
+                              dataset={dataset}
+                              suggestions={similarGroups(grouping, group.key)}
+                              groupKeys={[...rowsByKey.keys()]}
+                              overridden={rowsByKey.get(group.key).some(row => groupings.entries[rowId(row)]?.group)}
+                              onMerge={otherKey => mergeGroups(group.key, otherKey)}
+                              onSplit={rows => groupings.split(rows)}
+                              onReset={() => moveSectionData(groupings.reset(grouping.groups.get(group.key)))}
+                            />
+                          )}
+
+                          {showRedlining[group.key] && (() => {
+                            const finalText = group.rows.find(row => row[ENR_COLUMN])?.[ENR_COLUMN];
+                            const sourceRows = group.rows.filter(row => row.source_full_section_text);
+                            if (!finalText || sourceRows.length === 0) return null;
+
+                            return (
+                              <div className="space-y-4 mb-6">
+                                {sourceRows.map((row, idx) => (
+                                  <RedLiningViewer
+                                    key={idx}
+                                    sourceText={row.source_full_section_text}
+                                    finalText={finalText}
+                                    sourceLabel={versionLabel(dataset, row.source_bill_type)}
+                                    finalLabel={finalLabel(dataset)}
+                                    options={redlineOptions}
+                                    onOptionsChange={setRedlineOptions}
+                                  />
+                                ))}
+                              </div>
+                            );
+                          })()}
+
                           {group.rows.length === 1 ? (
                             // Single version - show detailed view
                             <div className="space-y-4">
                               <div className="flex justify-between items-center">
                                 <h3 className="font-semibold text-gray-700">Section Details</h3>
-                                <span className="text-sm text-gray-500">{group.rows[0].source_bill_type}</span>
+                                <span className="text-sm text-gray-500">{sourceLabel(dataset, group.rows[0].source_bill_type)}</span>
                               </div>
                               
                               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -802,31 +1490,30 @@ const NDAAReferenceInterface = () => {
                                   <h4 className="font-medium text-gray-600 mb-2">Basic Information</h4>
                                   <div className="text-sm space-y-1">
                                     <div><strong>Word Count:</strong> {group.rows[0].word_count}</div>
-                                    <div><strong>References:</strong> {group.rows[0].all_references_found || 'None'}</div>
-                                    <div><strong>Agreement Phrases:</strong> {group.rows[0].agreement_phrases || 'None'}</div>
+                                    <div className="flex items-center gap-1">
+                                      <strong>Similarity:</strong>
+                                      <SimilarityBadge
+                                        score={scoreOf(group.rows[0])}
+                                        band={similarityBand(group.rows[0], scoreOf(group.rows[0]))}
+                                        delta={charDelta(group.rows[0])}
+                                      />
+                                    </div>
+                                    <div><strong>References:</strong> <ReferenceLinks rows={group.rows} groupKey={group.key} index={referenceIndex} onGo={goToSection} /></div>
+                                    <div className="flex items-center gap-1">
+                                      <strong>Conference Outcome:</strong>
+                                      <OutcomeBadge {...rowAgreement(group.rows[0])} />
+                                      {!rowAgreement(group.rows[0]).outcome && 'Unknown'}
+                                    </div>
+                                    <div><strong>Agreement Phrases:</strong> {rowAgreement(group.rows[0]).phrases.join(' ') || 'None'}</div>
                                   </div>
                                 </div>
                                 
                                                                  <div>
                                    <div className="flex justify-between items-center mb-2">
                                      <h4 className="font-medium text-gray-600">Source Text</h4>
-                                     {group.rows[0]['H.R. 5009 ENR Text'] && (
+                                     {group.rows[0][ENR_COLUMN] && (
                                        <button
-                                         onClick={() => {
-                                           const sources = [{
-                                             text: group.rows[0].source_full_section_text,
-                                             label: `${group.rows[0].source_bill_type === 'HOUSE_RDS' ? 'House' : 'Senate'} Version`
-                                           }];
-                                           
-                                           // Extract agreement phrases
-                                           const agreementPhrases = group.rows[0]?.agreement_phrases || [];
-                                           const phrasesArray = Array.isArray(agreementPhrases) ? agreementPhrases : 
-                                                              (typeof agreementPhrases === 'string' ? 
-                                                               agreementPhrases.replace(/[\[\]']/g, '').split(',').map(s => s.trim()).filter(s => s) : 
-                                                               []);
-                                           
-                                           openDiffTool(sources, group.rows[0]['H.R. 5009 ENR Text'], phrasesArray);
-                                         }}
+                                         onClick={() => openDiffTool(group.key)}
                                          className="bg-blue-600 text-white px-2 py-1 rounded text-xs flex items-center gap-1 hover:bg-blue-700"
                                        >
                                          <GitCompare size={12} />
@@ -835,18 +1522,14 @@ const NDAAReferenceInterface = () => {
                                      )}
                                    </div>
                                    
-                                   <div className="bg-white p-4 rounded border text-sm max-h-60 overflow-y-auto leading-relaxed">
-                                     {group.rows[0].source_full_section_text || 'No source text available'}
-                                   </div>
+                                   <LongText className="bg-white p-4 rounded border text-sm max-h-60 overflow-y-auto leading-relaxed" text={group.rows[0].source_full_section_text || 'No source text available'} />
                                  </div>
                               </div>
                               
-                              {group.rows[0]['H.R. 5009 ENR Text'] && (
+                              {group.rows[0][ENR_COLUMN] && (
                                 <div>
-                                  <h4 className="font-medium text-gray-600 mb-2">H.R. 5009 Enrolled Bill Text</h4>
-                                  <div className="bg-green-50 p-3 rounded border text-sm max-h-40 overflow-y-auto">
-                                    {group.rows[0]['H.R. 5009 ENR Text']}
-                                  </div>
+                                  <h4 className="font-medium text-gray-600 mb-2">{enrolledTextLabel(dataset)}</h4>
+                                  <LongText className="bg-green-50 p-3 rounded border text-sm max-h-40 overflow-y-auto" text={group.rows[0][ENR_COLUMN]} />
                                 </div>
                               )}
                               
@@ -854,9 +1537,7 @@ const NDAAReferenceInterface = () => {
                               {group.rows[0].full_text && (
                                 <div>
                                   <h4 className="font-medium text-gray-600 mb-2">Joint Explanatory Statement</h4>
-                                  <div className="bg-blue-50 p-3 rounded border text-sm max-h-40 overflow-y-auto whitespace-pre-wrap">
-                                    {group.rows[0].full_text}
-                                  </div>
+                                  <LongText className="bg-blue-50 p-3 rounded border text-sm max-h-40 overflow-y-auto whitespace-pre-wrap" text={group.rows[0].full_text} />
                                 </div>
                               )}
                             </div>
@@ -870,57 +1551,58 @@ const NDAAReferenceInterface = () => {
                                 {group.rows.map((row, idx) => (
                                   <div key={idx} className="border rounded-lg p-3 bg-white">
                                     <div className="font-medium text-blue-600 mb-2">
-                                      {row.source_bill_type === 'HOUSE_RDS' ? 'House Version' :
-                                       row.source_bill_type === 'SENATE_RS' ? 'Senate Version' :
-                                       row.source_bill_type}
+                                      {versionLabel(dataset, row.source_bill_type)}
                                     </div>
                                     <div className="text-sm space-y-1">
                                       <div><strong>Section:</strong> {row.referenced_section_number}</div>
                                       <div><strong>Words:</strong> {row.word_count}</div>
-                                      <div><strong>References:</strong> {row.all_references_found || 'None'}</div>
+                                      <div className="flex items-center gap-1">
+                                        <strong>Similarity:</strong>
+                                        <SimilarityBadge score={scoreOf(row)} band={similarityBand(row, scoreOf(row))} delta={charDelta(row)} />
+                                      </div>
+                                      <div><strong>References:</strong> <ReferenceLinks rows={[row]} groupKey={group.key} index={referenceIndex} onGo={goToSection} /></div>
                                     </div>
                                   </div>
                                 ))}
                               </div>
                               
+                              {/* Three-way provenance of the enrolled text */}
+                              {(() => {
+                                const houseRow = group.rows.find(row => chamberOf(dataset, row.source_bill_type) === 'house' && row.source_full_section_text);
+                                const senateRow = group.rows.find(row => chamberOf(dataset, row.source_bill_type) === 'senate' && row.source_full_section_text);
+                                const finalText = group.rows.find(row => row[ENR_COLUMN])?.[ENR_COLUMN];
+                                if (!houseRow || !senateRow || !finalText) return null;
+
+                                return (
+                                  <div>
+                                    <div className="flex justify-between items-center mb-3">
+                                      <h4 className="font-medium text-gray-600">House / Senate Provenance</h4>
+                                      <button
+                                        onClick={() => toggleProvenance(group.key)}
+                                        className="bg-blue-600 text-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-blue-700"
+                                      >
+                                        <GitMerge size={14} />
+                                        {showProvenance[group.key] ? 'Hide Provenance' : 'Show Provenance'}
+                                      </button>
+                                    </div>
+                                    {showProvenance[group.key] && (
+                                      <ProvenanceViewer
+                                        houseText={houseRow.source_full_section_text}
+                                        senateText={senateRow.source_full_section_text}
+                                        finalText={finalText}
+                                        finalLabel={finalLabel(dataset)}
+                                      />
+                                    )}
+                                  </div>
+                                );
+                              })()}
+
                               {/* Side-by-side source text comparison */}
                               <div>
                                 <div className="flex justify-between items-center mb-3">
                                   <h4 className="font-medium text-gray-600">Source Text Comparison</h4>
                                                                      <button
-                                     onClick={() => {
-                                       // Prepare sources array
-                                       const finalText = group.rows.find(row => row['H.R. 5009 ENR Text'])?.['H.R. 5009 ENR Text'] || '';
-                                       
-                                       // Add all unique source versions
-                                       const uniqueSources = new Map();
-                                       group.rows.forEach(row => {
-                                         if (row.source_full_section_text) {
-                                           const key = row.source_bill_type;
-                                           if (!uniqueSources.has(key)) {
-                                             uniqueSources.set(key, {
-                                               text: row.source_full_section_text,
-                                               label: row.source_bill_type === 'HOUSE_RDS' ? 'House Version' : 
-                                                      row.source_bill_type === 'SENATE_RS' ? 'Senate Version' : 
-                                                      row.source_bill_type
-                                             });
-                                           }
-                                         }
-                                       });
-                                       
-                                       const sourcesArray = Array.from(uniqueSources.values());
-                                       
-                                       // Extract agreement phrases from the first row that has them
-                                       const agreementPhrases = group.rows[0]?.agreement_phrases || [];
-                                       const phrasesArray = Array.isArray(agreementPhrases) ? agreementPhrases : 
-                                                          (typeof agreementPhrases === 'string' ? 
-                                                           agreementPhrases.replace(/[\[\]']/g, '').split(',').map(s => s.trim()).filter(s => s) : 
-                                                           []);
-                                       
-                                       if (sourcesArray.length > 0 && finalText) {
-                                         openDiffTool(sourcesArray, finalText, phrasesArray);
-                                       }
-                                     }}
+                                     onClick={() => openDiffTool(group.key)}
                                      className="bg-blue-600 text-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-blue-700"
                                    >
                                      <GitCompare size={14} />
@@ -932,13 +1614,9 @@ const NDAAReferenceInterface = () => {
                                    {group.rows.map((row, idx) => (
                                      <div key={idx} className="space-y-3">
                                        <div className="font-medium text-blue-600 text-sm border-b border-blue-200 pb-2">
-                                         {row.source_bill_type === 'HOUSE_RDS' ? 'House Version' :
-                                          row.source_bill_type === 'SENATE_RS' ? 'Senate Version' :
-                                          row.source_bill_type} - Section {row.referenced_section_number}
-                                       </div>
-                                       <div className="bg-white border rounded p-4 text-sm max-h-60 overflow-y-auto leading-relaxed whitespace-pre-line">
-                                         {row.source_full_section_text || 'No source text available'}
+                                         {versionLabel(dataset, row.source_bill_type)} - Section {row.referenced_section_number}
                                        </div>
+                                       <LongText className="bg-white border rounded p-4 text-sm max-h-60 overflow-y-auto leading-relaxed whitespace-pre-line" text={row.source_full_section_text || 'No source text available'} />
                                        {idx < group.rows.length - 1 && (
                                          <div className="my-8">
                                            <div className="border-t border-gray-200"></div>
@@ -953,62 +1631,96 @@ const NDAAReferenceInterface = () => {
                               </div>
                               
                               {/* ENR text if available */}
-                              {group.rows.some(row => row['H.R. 5009 ENR Text']) && (
+                              {group.rows.some(row => row[ENR_COLUMN]) && (
                                 <div>
-                                  <h4 className="font-medium text-gray-600 mb-3">H.R. 5009 Enrolled Bill Text</h4>
-                                  <div className="bg-green-50 border border-green-200 rounded p-3 text-sm max-h-60 overflow-y-auto">
-                                    {group.rows.find(row => row['H.R. 5009 ENR Text'])?.['H.R. 5009 ENR Text']}
-                                  </div>
+                                  <h4 className="font-medium text-gray-600 mb-3">{enrolledTextLabel(dataset)}</h4>
+                                  <LongText className="bg-green-50 border border-green-200 rounded p-3 text-sm max-h-60 overflow-y-auto" text={group.rows.find(row => row[ENR_COLUMN])?.[ENR_COLUMN]} />
                                 </div>
                               )}
                               
                               {/* Joint Explanatory Statement (from full_text) */}
                               <div>
                                 <h4 className="font-medium text-gray-600 mb-3">Joint Explanatory Statement</h4>
-                                <div className="bg-blue-50 border border-blue-200 rounded p-3 text-sm max-h-60 overflow-y-auto whitespace-pre-wrap">
-                                  {group.rows[0].full_text || 'No explanatory statement text available'}
-                                </div>
+                                <LongText className="bg-blue-50 border border-blue-200 rounded p-3 text-sm max-h-60 overflow-y-auto whitespace-pre-wrap" text={group.rows[0].full_text || 'No explanatory statement text available'} />
                               </div>
                             </div>
                           )}
+
+                          {/* Same provision in other fiscal years' NDAAs */}
+                          {yearSources.length > 0 && (() => {
+                            const enrolledRow = group.rows.find(row => row[ENR_COLUMN]);
+                            if (!enrolledRow) return null;
+
+                            return (
+                              <div className="mt-6">
+                                <div className="flex justify-between items-center mb-3">
+                                  <h4 className="font-medium text-gray-600">Across Fiscal Years</h4>
+                                  <button
+                                    onClick={() => toggleCrossYear(group.key)}
+                                    className="bg-blue-600 text-white px-3 py-1 rounded text-sm flex items-center gap-2 hover:bg-blue-700"
+                                  >
+                                    <CalendarRange size={14} />
+                                    {showCrossYear[group.key] ? 'Hide Comparison' : 'Compare Years'}
+                                  </button>
+                                </div>
+                                {showCrossYear[group.key] && (
+                                  <CrossYearComparison
+                                    current={customSourceName
+                                      ? { label: customSourceName, fiscalYear: fiscalYearFromName(customSourceName) }
+                                      : { label: enactedLabel(dataset), fiscalYear: dataset.fiscalYear }}
+                                    sources={yearSources}
+                                    row={enrolledRow}
+                                  />
+                                )}
+                              </div>
+                            );
+                          })()}
                         </td>
                       </tr>
                     )}
-                  </React.Fragment>
+                  </tbody>
                 );
               })}
-            </tbody>
-          </table>
-        </div>
-        
-        {/* Pagination */}
-        <div className="bg-white px-6 py-4 border-t border-gray-200 flex items-center justify-between">
-          <div className="text-sm text-gray-700">
-            Page {currentPage} of {totalPages}
+              <tbody>
+                <tr aria-hidden="true"><td colSpan={7} className="p-0" style={{ height: virtualList.paddingBottom }} /></tr>
+              </tbody>
+            </table>
           </div>
-          <div className="flex gap-2">
-            <button
-              onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
-              disabled={currentPage === 1}
-              className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
-            >
-              Previous
-            </button>
-            <button
-              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
-              disabled={currentPage === totalPages}
-              className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
-            >
-              Next
-            </button>
+          
+          {/* Page jump */}
+          <div className="sticky bottom-0 bg-white px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+            <div className="text-sm text-gray-700 flex items-center gap-2">
+              Page
+              <select
+                value={visiblePage}
+                onChange={(e) => goToPage(Number(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {Array.from({ length: totalPages }, (_, index) => (
+                  <option key={index} value={index + 1}>{index + 1}</option>
+                ))}
+              </select>
+              of {totalPages}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => goToPage(visiblePage - 1)}
+                disabled={visiblePage === 1}
+                className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => goToPage(visiblePage + 1)}
+                disabled={visiblePage === totalPages}
+                className="px-4 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+              </button>
+            </div>
           </div>
         </div>
       </div>
-
-      {/* Detail Modal */}
-      {selectedRow && (
-        <DetailModal row={selectedRow} onClose={() => setSelectedRow(null)} />
-      )}
     </div>
   );
 };
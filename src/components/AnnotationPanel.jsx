@@ -0,0 +1,243 @@
+import React, { useState, useRef } from 'react';
+import { Tag, StickyNote, Highlighter, X, Pencil } from 'lucide-react';
+import MarkdownText from './MarkdownText';
+import {
+  EMPTY_ANNOTATION, highlightTargets, sameTarget, createHighlight, locateHighlight,
+  highlightSegments, mergeTags, normalizeTag,
+} from '../utils/annotations';
+import { enrolledTextLabel, versionLabel } from '../utils/datasets';
+
+const targetLabel = (dataset, target) => (
+  target.target === 'enr' ? enrolledTextLabel(dataset) : versionLabel(dataset, target.version)
+);
+
+// Character offsets of the current selection within `container`, or null
+// when nothing inside it is selected
+const selectionOffsets = (container) => {
+  const selection = window.getSelection();
+  if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.commonAncestorContainer)) return null;
+
+  const before = range.cloneRange();
+  before.selectNodeContents(container);
+  before.setEnd(range.startContainer, range.startOffset);
+  const start = before.toString().length;
+  const end = start + range.toString().length;
+  return end > start ? { start, end } : null;
+};
+
+// Notes, tags and text highlights for one section. `annotation` may be
+// undefined; every edit is passed whole to `onChange`.
+const AnnotationPanel = ({ annotation = EMPTY_ANNOTATION, rows, dataset, tagSuggestions = [], onChange }) => {
+  const [tagInput, setTagInput] = useState('');
+  const [draft, setDraft] = useState(null); // notes being edited
+  const [targetIndex, setTargetIndex] = useState(0);
+  const [pending, setPending] = useState(null); // selected span not yet saved
+  const [comment, setComment] = useState('');
+  const textRef = useRef(null);
+
+  const targets = highlightTargets(rows);
+  const target = targets[Math.min(targetIndex, targets.length - 1)];
+
+  const update = (patch) => onChange({ ...EMPTY_ANNOTATION, ...annotation, ...patch });
+
+  const addTags = () => {
+    const tags = tagInput.split(',').map(normalizeTag).filter(Boolean);
+    if (tags.length > 0) update({ tags: mergeTags(annotation.tags, tags) });
+    setTagInput('');
+  };
+
+  const saveHighlight = () => {
+    update({ highlights: [...annotation.highlights, createHighlight(target, target.text, pending.start, pending.end, comment)] });
+    setPending(null);
+    setComment('');
+    window.getSelection()?.removeAllRanges();
+  };
+
+  const chooseTarget = (index) => {
+    setTargetIndex(index);
+    setPending(null);
+  };
+
+  const targetOf = (highlight) => targets.find(t => sameTarget(highlight, t));
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-6 space-y-4">
+      {/* Tags */}
+      <div className="flex flex-wrap items-center gap-2">
+        <Tag size={16} className="text-gray-500" />
+        {annotation.tags.map(tag => (
+          <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800 flex items-center gap-1">
+            {tag}
+            <button
+              onClick={() => update({ tags: annotation.tags.filter(t => t !== tag) })}
+              className="hover:text-purple-950"
+              title="Remove tag"
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') addTags();
+          }}
+          onBlur={addTags}
+          list="annotation-tags"
+          placeholder="Add tag…"
+          className="px-2 py-1 border border-gray-300 rounded text-xs w-32 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <datalist id="annotation-tags">
+          {tagSuggestions.filter(tag => !annotation.tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+        </datalist>
+      </div>
+
+      {/* Notes */}
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h4 className="font-medium text-gray-600 flex items-center gap-2">
+            <StickyNote size={16} />
+            Notes
+          </h4>
+          {draft === null && (
+            <button
+              onClick={() => setDraft(annotation.notes)}
+              className="text-sm text-gray-600 hover:text-gray-900 flex items-center gap-1"
+            >
+              <Pencil size={14} />
+              {annotation.notes ? 'Edit' : 'Add notes'}
+            </button>
+          )}
+        </div>
+        {draft !== null ? (
+          <div className="space-y-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={6}
+              autoFocus
+              placeholder="Markdown: **bold**, *italic*, - lists, # headings, [links](https://…)"
+              className="w-full px-3 py-2 border border-gray-300 rounded text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={() => {
+                  update({ notes: draft });
+                  setDraft(null);
+                }}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+              >
+                Save
+              </button>
+              <button onClick={() => setDraft(null)} className="px-3 py-1 rounded text-sm text-gray-600 hover:bg-gray-100">
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : annotation.notes ? (
+          <MarkdownText text={annotation.notes} />
+        ) : (
+          <p className="text-sm text-gray-400">No notes</p>
+        )}
+      </div>
+
+      {/* Highlights */}
+      {targets.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-600 flex items-center gap-2 mb-2">
+            <Highlighter size={16} />
+            Highlights
+          </h4>
+          <div className="flex flex-wrap gap-1 mb-2">
+            {targets.map((t, index) => (
+              <button
+                key={`${t.target}-${t.version}`}
+                onClick={() => chooseTarget(index)}
+                className={`px-2 py-1 rounded text-xs border ${
+                  t === target ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {targetLabel(dataset, t)}
+              </button>
+            ))}
+          </div>
+          <div
+            ref={textRef}
+            onMouseUp={() => setPending(selectionOffsets(textRef.current))}
+            className="bg-gray-50 p-3 rounded border text-sm max-h-60 overflow-y-auto whitespace-pre-wrap leading-relaxed"
+          >
+            {highlightSegments(target.text, annotation.highlights.filter(h => sameTarget(h, target))).map((segment, index) => (
+              segment.highlights.length > 0 ? (
+                <mark
+                  key={index}
+                  className="bg-yellow-200"
+                  title={segment.highlights.map(h => h.comment).filter(Boolean).join('\n')}
+                >
+                  {segment.text}
+                </mark>
+              ) : (
+                <React.Fragment key={index}>{segment.text}</React.Fragment>
+              )
+            ))}
+          </div>
+          {pending ? (
+            <div className="flex flex-wrap items-center gap-2 mt-2">
+              <input
+                type="text"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') saveHighlight();
+                }}
+                placeholder="Comment (optional)"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button onClick={saveHighlight} className="bg-yellow-400 px-3 py-1 rounded text-sm hover:bg-yellow-500">
+                Highlight selection
+              </button>
+              <button onClick={() => setPending(null)} className="px-3 py-1 rounded text-sm text-gray-600 hover:bg-gray-100">
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500 mt-1">Select text above to highlight it.</p>
+          )}
+
+          {annotation.highlights.length > 0 && (
+            <ul className="mt-3 divide-y divide-gray-100 text-sm">
+              {annotation.highlights.map(highlight => {
+                const highlightTarget = targetOf(highlight);
+                const found = highlightTarget && locateHighlight(highlightTarget.text, highlight);
+                return (
+                  <li key={highlight.id} className="flex items-start gap-2 py-2">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-xs text-gray-500">
+                        {highlightTarget ? targetLabel(dataset, highlightTarget) : 'Text not in this dataset'}
+                        {highlightTarget && !found && ' · quoted text no longer found'}
+                      </div>
+                      <div className="truncate"><mark className="bg-yellow-200">{highlight.quote}</mark></div>
+                      {highlight.comment && <div className="text-gray-700">{highlight.comment}</div>}
+                    </div>
+                    <button
+                      onClick={() => update({ highlights: annotation.highlights.filter(h => h.id !== highlight.id) })}
+                      className="text-gray-400 hover:text-gray-700"
+                      title="Remove highlight"
+                    >
+                      <X size={14} />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationPanel;
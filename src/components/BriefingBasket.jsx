@@ -0,0 +1,83 @@
+import React from 'react';
+import { BookOpen, X } from 'lucide-react';
+import RedlineExportButtons from './RedlineExportButtons';
+import { redlineSection } from '../utils/redlineDocument';
+import { diffInputsForRows } from '../utils/multiDiff';
+import { datasetLabel, finalLabel } from '../utils/datasets';
+import { numberedTitle } from '../utils/stats';
+import { sectionNumberOf } from '../utils/sectionGroups';
+
+const LAST = Number.MAX_SAFE_INTEGER;
+
+// Sections checked in the results table, and the briefing book built from
+// them: contents by title, then for each section the conference outcome,
+// enrolled text, redlines against the House/Senate versions and the JES text.
+// `ids` are the checked sections' ids (see sectionIds.js), `keyOf` maps
+// section ids to group keys and `rowsByKey` group keys to all of the
+// section's rows.
+const BriefingBasket = ({ ids, keyOf, rowsByKey, dataset, onRemove, onClear, onOpen }) => {
+  // Bill order by the enacted section's title, as in the outline and the
+  // export, then section number; sections missing from the loaded data go last
+  const order = (key) => {
+    const rows = rowsByKey.get(key);
+    if (!rows) return [LAST, LAST];
+    const number = parseInt(rows.map(sectionNumberOf).find(Boolean) ?? rows[0].referenced_section_number, 10);
+    return [numberedTitle(rows) ?? LAST, Number.isNaN(number) ? LAST : number];
+  };
+  const ordered = ids
+    .map(id => ({ id, key: keyOf.get(id), order: order(keyOf.get(id)) }))
+    .sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1]);
+  const available = ordered.map(({ key }) => key).filter(key => rowsByKey.has(key));
+
+  const buildSections = () => available.map(key => redlineSection({
+    title: key,
+    finalLabel: finalLabel(dataset),
+    ...diffInputsForRows(dataset, rowsByKey.get(key)),
+  }));
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h2 className="font-semibold text-gray-700 flex items-center gap-2">
+          <BookOpen size={18} />
+          Briefing Book ({ids.length} section{ids.length !== 1 ? 's' : ''})
+        </h2>
+        {ids.length > 0 && (
+          <button onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">Clear all</button>
+        )}
+      </div>
+
+      {ids.length === 0 ? (
+        <p className="text-sm text-gray-500">Check sections in the results table to add them to the briefing book.</p>
+      ) : (
+        <>
+          <ol className="max-h-60 overflow-y-auto divide-y divide-gray-100 text-sm mb-3">
+            {ordered.map(({ id, key }) => (
+              <li key={id} className="flex items-center gap-2 py-1">
+                {rowsByKey.has(key) ? (
+                  <button onClick={() => onOpen(key)} className="flex-1 min-w-0 truncate text-left text-blue-700 hover:underline">
+                    {key}
+                  </button>
+                ) : (
+                  <span className="flex-1 min-w-0 truncate text-gray-400" title="Not in the loaded data">{id}</span>
+                )}
+                <button onClick={() => onRemove(id)} className="text-gray-400 hover:text-gray-700" title="Remove from briefing book">
+                  <X size={14} />
+                </button>
+              </li>
+            ))}
+          </ol>
+          <RedlineExportButtons
+            getSections={buildSections}
+            heading={`${datasetLabel(dataset)} Briefing Book`}
+            fileName={`ndaa-${dataset.id}-briefing-book`}
+            options={{ contents: true, includeFinal: true }}
+            disabled={available.length === 0}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BriefingBasket;
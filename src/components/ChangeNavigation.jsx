@@ -0,0 +1,130 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight, ListOrdered } from 'lucide-react';
+import { summarizeChanges } from '../utils/changes';
+
+const KIND_STYLES = {
+  insertion: { tick: 'bg-green-500', label: 'Inserted' },
+  deletion: { tick: 'bg-red-500', label: 'Deleted' },
+  replacement: { tick: 'bg-amber-500', label: 'Replaced' },
+};
+
+const snippet = (text, length = 80) => {
+  const trimmed = text.trim();
+  return trimmed.length > length ? `${trimmed.slice(0, length)}…` : trimmed;
+};
+
+// One side of a redline. `side` is 'source' (shows deletions) or 'final'
+// (shows additions); spans are tagged with their final-text offset and change
+// so useDiffNavigation can align panes and jump between changes.
+export const RedlineText = ({ parts, partInfo, side, current = -1, trackChanges = true }) => parts.map((part, index) => {
+  if (side === 'source' ? part.added : part.removed) return null;
+
+  const { offset, change } = partInfo[index];
+  const tracked = trackChanges && change !== -1;
+  const active = tracked && change === current ? ' ring-2 ring-blue-500' : '';
+  const changeProps = tracked ? { 'data-change': change } : {};
+
+  if (part.removed) {
+    return (
+      <span key={index} data-offset={offset} {...changeProps} className={`bg-red-300 text-red-900 line-through decoration-2 font-bold${active}`}>
+        {part.value}
+      </span>
+    );
+  }
+  if (part.added) {
+    return (
+      <span key={index} data-offset={offset} {...changeProps} className={`bg-green-300 text-green-900 font-bold${active}`}>
+        {part.value}
+      </span>
+    );
+  }
+  return (
+    <span key={index} data-offset={offset}>
+      {side === 'source' && part.oldValue !== undefined ? part.oldValue : part.value}
+    </span>
+  );
+});
+
+// Previous/next buttons, position and word totals
+export const ChangeToolbar = ({ changes, current, onPrevious, onNext, showSummary, onToggleSummary }) => {
+  const { count, wordsAdded, wordsRemoved } = summarizeChanges(changes);
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs">
+      <span>
+        {count === 0
+          ? 'No differences found - texts are identical'
+          : `${count} change${count !== 1 ? 's' : ''}: +${wordsAdded} / −${wordsRemoved} words`}
+      </span>
+      {count > 0 && (
+        <>
+          <div className="flex items-center gap-1 ml-auto">
+            <button
+              onClick={onPrevious}
+              className="p-1 border border-gray-300 bg-white rounded hover:bg-gray-50"
+              title="Previous change (p or [)"
+            >
+              <ChevronLeft size={14} />
+            </button>
+            <span className="px-1 text-gray-600">{current === -1 ? '–' : current + 1} of {count}</span>
+            <button
+              onClick={onNext}
+              className="p-1 border border-gray-300 bg-white rounded hover:bg-gray-50"
+              title="Next change (n or ])"
+            >
+              <ChevronRight size={14} />
+            </button>
+          </div>
+          {onToggleSummary && (
+            <button
+              onClick={onToggleSummary}
+              className="px-2 py-1 border border-gray-300 bg-white rounded flex items-center gap-1 hover:bg-gray-50 text-gray-700"
+            >
+              <ListOrdered size={12} />
+              {showSummary ? 'Hide list' : 'List changes'}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Gutter with a tick per change at its position in the text
+export const ChangeMinimap = ({ changes, length, current, onSelect }) => (
+  <div className="relative w-3 shrink-0 bg-gray-100 border-l border-gray-300" aria-label="Change map">
+    {changes.map(change => (
+      <button
+        key={change.id}
+        onClick={() => onSelect(change.id)}
+        className={`absolute left-0 right-0 ${KIND_STYLES[change.kind].tick} ${change.id === current ? 'h-2 ring-2 ring-blue-500' : 'h-1'}`}
+        style={{ top: `${(change.offset / Math.max(length, 1)) * 100}%` }}
+        title={`${KIND_STYLES[change.kind].label}: +${change.wordsAdded} / −${change.wordsRemoved} words`}
+      />
+    ))}
+  </div>
+);
+
+// Every change with its text and word counts; clicking one jumps to it
+export const ChangeSummary = ({ changes, current, onSelect }) => (
+  <ol className="max-h-48 overflow-y-auto divide-y divide-gray-100 text-xs">
+    {changes.map(change => (
+      <li key={change.id}>
+        <button
+          onClick={() => onSelect(change.id)}
+          className={`w-full text-left px-3 py-1 flex gap-2 hover:bg-gray-50 ${change.id === current ? 'bg-blue-50' : ''}`}
+        >
+          <span className="text-gray-400 w-8 shrink-0">#{change.id + 1}</span>
+          <span className="w-16 shrink-0 text-gray-600">{KIND_STYLES[change.kind].label}</span>
+          <span className="flex-1 min-w-0 truncate">
+            {snippet(change.removed) && <span className="text-red-700 line-through">{snippet(change.removed)}</span>}
+            {snippet(change.removed) && snippet(change.added) && ' → '}
+            {snippet(change.added) && <span className="text-green-700">{snippet(change.added)}</span>}
+            {!snippet(change.removed) && !snippet(change.added) && <span className="text-gray-500">(whitespace)</span>}
+          </span>
+          <span className="shrink-0 text-gray-500">+{change.wordsAdded} / −{change.wordsRemoved}</span>
+        </button>
+      </li>
+    ))}
+  </ol>
+);
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { X, Table } from 'lucide-react';
+import { EXPECTED_COLUMNS, suggestColumnMapping, missingRequiredColumns, applyColumnMapping } from '../utils/datasetSchema';
+
+const preview = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  const text = String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+};
+
+// Lets the user confirm which sheet holds the data and map the file's headers
+// onto the columns the interface expects
+const ColumnMappingDialog = ({ fileName, sheets, initialSheetName, onConfirm, onCancel }) => {
+  const [sheetName, setSheetName] = useState(initialSheetName);
+  const sheet = sheets.find(s => s.name === sheetName) || sheets[0];
+  const [mapping, setMapping] = useState(() => suggestColumnMapping(sheet.headers));
+
+  const missing = missingRequiredColumns(mapping);
+  const sampleRow = sheet.rows[0] || {};
+
+  const changeSheet = (name) => {
+    const next = sheets.find(s => s.name === name);
+    setSheetName(name);
+    setMapping(suggestColumnMapping(next.headers));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold text-gray-800">Map Columns</h2>
+            <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+              <X size={24} />
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            The headers in <strong>{fileName}</strong> don't all match the expected columns. Choose which
+            column in the file supplies each field.
+          </p>
+
+          {sheets.length > 1 && (
+            <div className="mb-4 flex items-center gap-2 text-sm">
+              <Table size={16} className="text-gray-500" />
+              <label htmlFor="mapping-sheet" className="text-gray-700">Sheet</label>
+              <select
+                id="mapping-sheet"
+                value={sheet.name}
+                onChange={(e) => changeSheet(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-lg"
+              >
+                {sheets.map(s => (
+                  <option key={s.name} value={s.name}>{s.name} ({s.rows.length} rows)</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-4">Field</th>
+                <th className="py-2 pr-4">Column in file</th>
+                <th className="py-2">First row</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {EXPECTED_COLUMNS.map(column => (
+                <tr key={column.key}>
+                  <td className="py-2 pr-4 text-gray-700">
+                    {column.label}
+                    {column.required && <span className="text-red-600 ml-1">*</span>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <select
+                      value={mapping[column.key] || ''}
+                      onChange={(e) => setMapping(prev => ({ ...prev, [column.key]: e.target.value }))}
+                      className="px-2 py-1 border border-gray-300 rounded w-full"
+                    >
+                      <option value="">(not in file)</option>
+                      {sheet.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 text-gray-500 text-xs">
+                    {mapping[column.key] ? preview(sampleRow[mapping[column.key]]) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {missing.length > 0 && (
+            <div className="mt-4 text-sm text-red-600">Required: {missing.join(', ')}</div>
+          )}
+
+          <div className="mt-6 flex justify-end gap-2">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(applyColumnMapping(sheet.rows, mapping), sheet.name)}
+              disabled={missing.length > 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Load {sheet.rows.length} rows
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
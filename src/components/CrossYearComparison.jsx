@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { CalendarRange } from 'lucide-react';
+import RedLiningViewer from './RedLiningViewer';
+import { ENR_COLUMN } from '../utils/columns';
+import { matchProvision } from '../utils/crossYear';
+
+// Redline of a provision's enacted text against the matching provision in
+// another fiscal year's NDAA or a file the user opened. `current` is
+// { label, fiscalYear } of the text shown and `sources` comes from
+// comparisonSources(). The older year goes on the left when both years are
+// known, otherwise the other text does.
+const CrossYearComparison = ({ current, sources, row }) => {
+  const [targetId, setTargetId] = useState(sources[0]?.id);
+  const [comparison, setComparison] = useState({ id: null, rows: [], error: null });
+  const [selectedHeader, setSelectedHeader] = useState(null);
+  const target = sources.find(source => source.id === targetId) || sources[0];
+
+  useEffect(() => {
+    if (!target) return undefined;
+    let cancelled = false;
+
+    target.load()
+      .then(rows => {
+        if (!cancelled) setComparison({ id: target.id, rows, error: null });
+      })
+      .catch(error => {
+        if (!cancelled) setComparison({ id: target.id, rows: [], error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [target]);
+
+  const loaded = !!target && comparison.id === target.id;
+  const candidates = useMemo(
+    () => (loaded ? matchProvision(row, comparison.rows) : []),
+    [loaded, row, comparison.rows]
+  );
+
+  if (!target) return null;
+
+  const match = candidates.find(candidate => candidate.row.header === selectedHeader) || candidates[0];
+  const targetIsOlder = target.fiscalYear === null || current.fiscalYear === null || target.fiscalYear <= current.fiscalYear;
+  const other = match && { text: match.row[ENR_COLUMN], label: target.label };
+  const shown = { text: row[ENR_COLUMN], label: current.label };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <CalendarRange size={16} className="text-gray-500" />
+        <label htmlFor={`cross-year-${row.header}`} className="text-gray-700">Compare with</label>
+        <select
+          id={`cross-year-${row.header}`}
+          value={target.id}
+          onChange={(e) => {
+            setTargetId(e.target.value);
+            setSelectedHeader(null);
+          }}
+          className="px-3 py-1 border border-gray-300 rounded-lg"
+        >
+          {sources.map(source => (
+            <option key={source.id} value={source.id}>{source.label}</option>
+          ))}
+        </select>
+
+        {candidates.length > 0 && (
+          <select
+            value={match.row.header}
+            onChange={(e) => setSelectedHeader(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-lg max-w-md"
+          >
+            {candidates.map(candidate => (
+              <option key={candidate.row.header} value={candidate.row.header}>
+                {candidate.row.header} ({Math.round(candidate.score * 100)}% match
+                {candidate.sameSection ? ', same section' : ''})
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {!loaded && <div className="text-sm text-gray-500">Loading {target.label}...</div>}
+      {loaded && comparison.error && (
+        <div className="text-sm text-red-600">Could not load {target.label}: {comparison.error}</div>
+      )}
+      {loaded && !comparison.error && !match && (
+        <div className="text-sm text-gray-500">No matching provision found in {target.label}</div>
+      )}
+      {match && (
+        <RedLiningViewer
+          sourceText={targetIsOlder ? other.text : shown.text}
+          finalText={targetIsOlder ? shown.text : other.text}
+          sourceLabel={targetIsOlder ? other.label : shown.label}
+          finalLabel={targetIsOlder ? shown.label : other.label}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CrossYearComparison;
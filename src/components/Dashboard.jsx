@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Horizontal bar chart; clicking a bar applies its filter to the table
+const BarChart = ({ title, bars, onSelect, note, className = '' }) => {
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+
+  return (
+    <div className={`bg-white rounded-lg shadow p-4 ${className}`}>
+      <h3 className="font-semibold text-gray-700 mb-3">{title}</h3>
+      {bars.length === 0 ? (
+        <p className="text-sm text-gray-500">No data</p>
+      ) : (
+        <div className="space-y-1 max-h-96 overflow-y-auto">
+          {bars.map(bar => (
+            <button
+              key={bar.id}
+              onClick={() => onSelect(bar.filter)}
+              disabled={bar.value === 0}
+              className="w-full flex items-center gap-2 text-left text-sm rounded px-1 py-0.5 hover:bg-blue-50 disabled:hover:bg-transparent"
+              title={`Show ${bar.value} section${bar.value !== 1 ? 's' : ''}: ${bar.label}`}
+            >
+              <span className="w-44 shrink-0 truncate text-gray-700">{bar.label}</span>
+              <span className="flex-1 h-4 bg-gray-100 rounded">
+                <span className="block h-4 bg-blue-500 rounded" style={{ width: `${(bar.value / max) * 100}%` }} />
+              </span>
+              <span className="w-12 shrink-0 text-right text-gray-600">{bar.value}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      {note && <p className="mt-2 text-xs text-gray-500">{note}</p>}
+    </div>
+  );
+};
+
+// Bill-wide charts from billStats(); onSelect receives the filters for a bar
+const Dashboard = ({ stats, onSelect }) => (
+  <div className="space-y-4">
+    <p className="text-sm text-gray-600">
+      {stats.sections} sections. Counts are sections with at least one version in the category; click a bar to list them.
+    </p>
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <BarChart title="Sections per title" bars={stats.titles} onSelect={onSelect} className="lg:row-span-2" />
+      <BarChart title="Conference outcome" bars={stats.outcomes} onSelect={onSelect} />
+      <BarChart title="Origin of provision" bars={stats.presence} onSelect={onSelect} />
+      <BarChart
+        title="Text growth from source to enrolled"
+        bars={stats.growth}
+        onSelect={onSelect}
+        note="Change in character count; versions without enrolled text are left out."
+      />
+      <BarChart title="Reference complexity" bars={stats.complexity} onSelect={onSelect} />
+    </div>
+  </div>
+);
+
+export default Dashboard;
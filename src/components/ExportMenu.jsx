@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import RedlineExportButtons from './RedlineExportButtons';
+import {
+  EXPORT_FORMATS, EXPORT_LAYOUTS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, buildRecords, exportRecords,
+} from '../utils/exporter';
+import { redlineSection, REDLINE_EXPORT_LIMIT } from '../utils/redlineDocument';
+import { diffInputsForRows } from '../utils/multiDiff';
+import { finalLabel } from '../utils/datasets';
+
+// Export button with a panel for format, layout and columns, and for redline
+// documents of the same sections. `groups` is the current result set in table
+// order; `context` carries what computed columns need ({ dataset, scores, annotationOf, reviewOf }).
+const ExportMenu = ({ groups, context, fileName, scoring = false }) => {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('xlsx');
+  const [layout, setLayout] = useState('sections');
+  const [columnKeys, setColumnKeys] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleColumn = (key) => {
+    setColumnKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const rowCount = layout === 'versions'
+    ? groups.reduce((sum, group) => sum + group.rows.length, 0)
+    : groups.length;
+
+  const runExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const { columns, records } = buildRecords(groups, { layout, columnKeys, context });
+      await exportRecords({ format, columns, records, fileName: `${fileName}-${layout}` });
+      setOpen(false);
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      setError(error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-4 py-2 border border-gray-300 rounded-lg flex items-center gap-2 hover:bg-gray-50"
+      >
+        <Download size={16} />
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-96 p-4 bg-white border border-gray-200 rounded-lg shadow-lg text-sm space-y-3">
+          <div className="flex gap-4">
+            <label className="flex-1">
+              <span className="block text-xs text-gray-500 mb-1">Format</span>
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded"
+              >
+                {EXPORT_FORMATS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+              </select>
+            </label>
+            <label className="flex-1">
+              <span className="block text-xs text-gray-500 mb-1">Rows</span>
+              <select
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded"
+              >
+                {EXPORT_LAYOUTS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div>
+            <div className="flex justify-between text-xs text-gray-500 mb-1">
+              <span>Columns</span>
+              <span className="space-x-2">
+                <button onClick={() => setColumnKeys(EXPORT_COLUMNS.map(column => column.key))} className="text-blue-600 hover:underline">All</button>
+                <button onClick={() => setColumnKeys(DEFAULT_EXPORT_COLUMNS)} className="text-blue-600 hover:underline">Default</button>
+              </span>
+            </div>
+            <div className="grid grid-cols-2 gap-x-3 gap-y-1 max-h-48 overflow-y-auto">
+              {EXPORT_COLUMNS.map(column => (
+                <label key={column.key} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={columnKeys.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {scoring && (columnKeys.includes('similarity') || columnKeys.includes('change')) && (
+            <div className="text-xs text-amber-700">Similarity is still being scored; those columns will be blank.</div>
+          )}
+          {error && <div className="text-xs text-red-600">Export failed: {error}</div>}
+
+          <div className="flex justify-between items-center">
+            <span className="text-xs text-gray-500">{rowCount} row{rowCount !== 1 ? 's' : ''}</span>
+            <button
+              onClick={runExport}
+              disabled={exporting || columnKeys.length === 0 || rowCount === 0}
+              className="bg-blue-600 text-white px-3 py-1 rounded flex items-center gap-1 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Download size={14} />
+              {exporting ? 'Exporting…' : 'Export'}
+            </button>
+          </div>
+
+          <div className="pt-3 border-t border-gray-200">
+            <div className="text-xs text-gray-500 mb-1">
+              Redlines of these {groups.length} section{groups.length !== 1 ? 's' : ''}
+              {groups.length > REDLINE_EXPORT_LIMIT && ` (narrow the results to ${REDLINE_EXPORT_LIMIT} or fewer)`}
+            </div>
+            <RedlineExportButtons
+              getSections={() => groups.map(group => redlineSection({
+                title: group.key,
+                finalLabel: finalLabel(context.dataset),
+                ...diffInputsForRows(context.dataset, group.rows),
+              }))}
+              heading={`Redlines against ${finalLabel(context.dataset)}`}
+              fileName={`${fileName}-redlines`}
+              disabled={groups.length === 0 || groups.length > REDLINE_EXPORT_LIMIT}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
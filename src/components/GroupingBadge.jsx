@@ -0,0 +1,16 @@
+import React from 'react';
+import { getGroupingConfidence } from '../utils/sectionGroups';
+
+// How sure the automatic grouping is of a section; nothing when confident
+const GroupingBadge = ({ confidence }) => {
+  if (!confidence || confidence.level === 'high') return null;
+
+  const { label, style } = getGroupingConfidence(confidence.level);
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${style}`} title={confidence.reasons.join('\n')}>
+      {label}
+    </span>
+  );
+};
+
+export default GroupingBadge;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Combine, Split, RotateCcw } from 'lucide-react';
+import { getGroupingConfidence, rowId } from '../utils/sectionGroups';
+import { sourceLabel } from '../utils/datasets';
+
+const versionName = (dataset, row) => [
+  `${sourceLabel(dataset, row.source_bill_type) || 'Statement'}${row.referenced_section_number ? ` § ${row.referenced_section_number}` : ''}`,
+  row.section_header,
+].filter(Boolean).join(' — ');
+
+// Why a section's rows are grouped together, and manual fixes: split some of
+// its versions off into a section of their own, merge it with another
+// section, or go back to the automatic grouping. `group` is an entry of
+// groupSections(); `suggestions` are similarGroups() for it.
+const GroupingPanel = ({ group, dataset, suggestions, groupKeys, overridden, onMerge, onSplit, onReset }) => {
+  const [selected, setSelected] = useState(() => new Set()); // row ids to split off
+  const [target, setTarget] = useState('');
+  const { label, style } = getGroupingConfidence(group.confidence.level);
+  const canSplit = selected.size > 0 && selected.size < new Set(group.rows.map(rowId)).size;
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const mergeTyped = () => {
+    if (groupKeys.includes(target) && target !== group.key) onMerge(target);
+    setTarget('');
+  };
+
+  return (
+    <div className="bg-white border rounded-lg p-4 mb-6 space-y-4 text-sm">
+      <div>
+        <div className="flex flex-wrap items-center gap-2 mb-1">
+          <span className={`px-2 py-0.5 rounded-full text-xs ${style}`}>{label}</span>
+          {overridden && (
+            <button onClick={onReset} className="text-gray-600 hover:text-gray-900 flex items-center gap-1">
+              <RotateCcw size={14} />
+              Use automatic grouping
+            </button>
+          )}
+        </div>
+        <ul className="list-disc ml-5 text-gray-600">
+          {group.confidence.reasons.map(reason => <li key={reason}>{reason}</li>)}
+        </ul>
+      </div>
+
+      <div>
+        <h4 className="font-medium text-gray-600 flex items-center gap-2 mb-2">
+          <Split size={16} />
+          Versions in this section
+        </h4>
+        <div className="space-y-1">
+          {group.rows.map((row, index) => (
+            <label key={index} className="flex items-start gap-2">
+              <input
+                type="checkbox"
+                checked={selected.has(rowId(row))}
+                onChange={() => toggle(rowId(row))}
+                disabled={group.rows.length === 1}
+                className="mt-1"
+              />
+              <span>
+                {versionName(dataset, row)}
+                {row.header !== group.key && <span className="block text-xs text-gray-500">Header: {row.header}</span>}
+              </span>
+            </label>
+          ))}
+        </div>
+        {group.rows.length > 1 && (
+          <button
+            onClick={() => {
+              onSplit(group.rows.filter(row => selected.has(rowId(row))));
+              setSelected(new Set());
+            }}
+            disabled={!canSplit}
+            className="mt-2 border border-gray-300 px-3 py-1 rounded flex items-center gap-2 hover:bg-gray-100 disabled:opacity-50"
+            title="Move the checked versions into a section of their own"
+          >
+            <Split size={14} />
+            Split off checked versions
+          </button>
+        )}
+      </div>
+
+      <div>
+        <h4 className="font-medium text-gray-600 flex items-center gap-2 mb-2">
+          <Combine size={16} />
+          Merge with another section
+        </h4>
+        {suggestions.length > 0 && (
+          <div className="space-y-1 mb-2">
+            {suggestions.map(suggestion => (
+              <div key={suggestion.key} className="flex items-center gap-2">
+                <button
+                  onClick={() => onMerge(suggestion.key)}
+                  className="border border-gray-300 px-2 py-0.5 rounded text-xs hover:bg-gray-100"
+                >
+                  Merge
+                </button>
+                <span className="truncate">{suggestion.key}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') mergeTyped();
+            }}
+            list={`merge-targets-${group.key}`}
+            placeholder="Section header…"
+            className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <datalist id={`merge-targets-${group.key}`}>
+            {groupKeys.filter(key => key !== group.key).map(key => <option key={key} value={key} />)}
+          </datalist>
+          <button
+            onClick={mergeTyped}
+            disabled={!groupKeys.includes(target) || target === group.key}
+            className="border border-gray-300 px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Merge
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupingPanel;
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+
+// Texts longer than this show their start until asked for the rest, so a
+// section with several long versions opens quickly
+const PREVIEW_LENGTH = 3000;
+
+// A block of section text. Takes the classes of the box it fills.
+const LongText = ({ text, className }) => {
+  const [showAll, setShowAll] = useState(false);
+  const value = String(text ?? '');
+  const cut = !showAll && value.length > PREVIEW_LENGTH
+    ? value.lastIndexOf(' ', PREVIEW_LENGTH) + 1 || PREVIEW_LENGTH
+    : value.length;
+
+  return (
+    <div className={className}>
+      {cut < value.length ? `${value.slice(0, cut)}…` : value}
+      {cut < value.length && (
+        <div className="mt-2">
+          <button onClick={() => setShowAll(true)} className="text-blue-600 hover:text-blue-800 text-xs">
+            Show full text ({value.length.toLocaleString()} characters)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LongText;
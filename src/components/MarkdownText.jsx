@@ -0,0 +1,46 @@
+import React from 'react';
+import { parseMarkdown } from '../utils/markdown';
+
+const Inlines = ({ inlines }) => inlines.map((inline, index) => {
+  switch (inline.type) {
+    case 'strong': return <strong key={index}>{inline.text}</strong>;
+    case 'em': return <em key={index}>{inline.text}</em>;
+    case 'code': return <code key={index} className="bg-gray-100 px-1 rounded text-xs">{inline.text}</code>;
+    case 'link': return (
+      <a key={index} href={inline.href} target="_blank" rel="noopener noreferrer" className="text-blue-700 underline">
+        {inline.text}
+      </a>
+    );
+    default: return <React.Fragment key={index}>{inline.text}</React.Fragment>;
+  }
+});
+
+const HEADING_CLASSES = ['font-semibold text-base', 'font-semibold', 'font-medium'];
+
+// Renders a note written in the markdown subset of utils/markdown
+const MarkdownText = ({ text }) => (
+  <div className="space-y-2 text-sm text-gray-800">
+    {parseMarkdown(text).map((block, index) => {
+      switch (block.type) {
+        case 'heading': return (
+          <div key={index} className={HEADING_CLASSES[block.level - 1]}><Inlines inlines={block.inlines} /></div>
+        );
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={index} className={`pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+              {block.items.map((item, itemIndex) => <li key={itemIndex}><Inlines inlines={item} /></li>)}
+            </List>
+          );
+        }
+        case 'code': return (
+          <pre key={index} className="bg-gray-100 p-2 rounded text-xs overflow-x-auto">{block.text}</pre>
+        );
+        case 'rule': return <hr key={index} className="border-gray-200" />;
+        default: return <p key={index}><Inlines inlines={block.inlines} /></p>;
+      }
+    })}
+  </div>
+);
+
+export default MarkdownText;
@@ -0,0 +1,217 @@
+import React, { useState, useMemo } from 'react';
+import { GitCompare, ExternalLink, ArrowLeft, ListTree } from 'lucide-react';
+import StructureDiffView from './StructureDiffView';
+import OutcomeBadge from './OutcomeBadge';
+import RedlineExportButtons from './RedlineExportButtons';
+import { RedlineText, ChangeToolbar, ChangeMinimap, ChangeSummary } from './ChangeNavigation';
+import { compareSources, unmatchedSpans } from '../utils/multiDiff';
+import { groupChanges } from '../utils/changes';
+import { conferenceOutcome } from '../utils/agreement';
+import { redlineSection, redlineFileName } from '../utils/redlineDocument';
+import { useDiffNavigation } from '../hooks/useDiffNavigation';
+
+const ALL_SOURCES = 'all';
+
+const Panel = ({ title, accent, controls, paneProps, gutter, children }) => (
+  <div className="border border-gray-300 rounded-lg overflow-hidden bg-white flex flex-col min-w-0">
+    <div className={`border-b border-gray-300 p-3 flex justify-between items-center gap-2 ${accent}`}>
+      <span className="font-medium text-gray-800">{title}</span>
+      {controls}
+    </div>
+    <div className="flex h-[70vh]">
+      <div className="flex-1 min-w-0 p-4 text-sm leading-relaxed whitespace-pre-wrap overflow-y-auto" {...paneProps}>
+        {children}
+      </div>
+      {gutter}
+    </div>
+  </div>
+);
+
+// Side-by-side word diff of any number of source versions against the final
+// text. Each source panel strikes what the final text dropped; the final panel
+// highlights what it added relative to one source, or to all of them.
+const MultiDiffView = ({
+  title, sources, finalText, finalLabel, agreementPhrases = [], sectionNumbers = [], titleNumber = null, jesText = '', onClose, onPopOut,
+}) => {
+  const [basis, setBasis] = useState(0);
+  const [showStructure, setShowStructure] = useState(false);
+  const [showSummary, setShowSummary] = useState(false);
+
+  const { final, comparisons } = useMemo(() => compareSources(sources, finalText), [sources, finalText]);
+  const grouped = useMemo(() => comparisons.map(comparison => groupChanges(comparison.parts)), [comparisons]);
+
+  // The final panel and the change list follow one source, or what no source has
+  let basisIndex = -1;
+  if (basis !== ALL_SOURCES) basisIndex = comparisons[basis] ? basis : 0;
+  const allParts = useMemo(
+    () => (basis === ALL_SOURCES ? unmatchedSpans(comparisons, final) : null),
+    [basis, comparisons, final]
+  );
+  const allGrouped = useMemo(() => allParts && groupChanges(allParts), [allParts]);
+  const finalParts = allParts || comparisons[basisIndex]?.parts || [];
+  const basisGroup = allGrouped || grouped[basisIndex] || { changes: [], partInfo: [], length: 0 };
+  const basisLabel = basisIndex === -1 ? 'all sources' : comparisons[basisIndex]?.label;
+
+  const navigation = useDiffNavigation(basisGroup.changes);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+            <GitCompare size={20} />
+            {title}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {sources.map(source => source.label).join(' + ')} vs {finalLabel}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <RedlineExportButtons
+            getSections={() => [redlineSection({ title, finalLabel, sources, finalText, agreementPhrases, sectionNumbers, titleNumber, jesText })]}
+            heading={`Redline against ${finalLabel}`}
+            fileName={redlineFileName(title)}
+            disabled={sources.length === 0 || !finalText}
+          />
+          {onPopOut && (
+            <button
+              onClick={onPopOut}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50"
+            >
+              <ExternalLink size={14} />
+              Pop out
+            </button>
+          )}
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50"
+            >
+              <ArrowLeft size={14} />
+              Back to results
+            </button>
+          )}
+        </div>
+      </div>
+
+      {agreementPhrases.length > 0 && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <div className="flex items-center gap-2 text-sm font-medium text-amber-900 mb-1">
+            Conference Committee Agreement
+            <OutcomeBadge outcome={conferenceOutcome(agreementPhrases)} />
+          </div>
+          <ul className="text-sm text-amber-800 list-disc list-inside">
+            {agreementPhrases.map((phrase, index) => <li key={index}>{phrase}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {sources.length === 0 || !final ? (
+        <div className="p-6 border border-gray-300 rounded-lg text-center text-gray-500">
+          {sources.length === 0 ? 'No source text available for comparison' : `No ${finalLabel} text available for comparison`}
+        </div>
+      ) : (
+        <>
+          <div className="border border-gray-300 rounded-lg overflow-hidden bg-blue-50 text-blue-800" tabIndex={0} onKeyDown={navigation.onKeyDown}>
+            <div className="p-2 flex flex-wrap items-center gap-3">
+              <span className="text-xs font-medium">vs {basisLabel}:</span>
+              <div className="flex-1">
+                <ChangeToolbar
+                  changes={basisGroup.changes}
+                  current={navigation.current}
+                  onPrevious={navigation.previous}
+                  onNext={navigation.next}
+                  showSummary={showSummary}
+                  onToggleSummary={() => setShowSummary(prev => !prev)}
+                />
+              </div>
+              <button
+                onClick={() => setShowStructure(prev => !prev)}
+                className="px-2 py-1 border border-gray-300 bg-white rounded text-xs flex items-center gap-1 hover:bg-gray-50 text-gray-700"
+              >
+                <ListTree size={12} />
+                {showStructure ? 'Hide Structure' : 'Show Structure'}
+              </button>
+            </div>
+            {showSummary && basisGroup.changes.length > 0 && (
+              <div className="bg-white border-t border-gray-200 text-gray-800">
+                <ChangeSummary changes={basisGroup.changes} current={navigation.current} onSelect={navigation.goTo} />
+              </div>
+            )}
+          </div>
+
+          <div className="overflow-x-auto" tabIndex={-1} onKeyDown={navigation.onKeyDown}>
+            <div
+              className="grid gap-4"
+              style={{ gridTemplateColumns: `repeat(${sources.length + 1}, minmax(20rem, 1fr))` }}
+            >
+              {comparisons.map((comparison, index) => (
+                <Panel
+                  key={index}
+                  title={comparison.label}
+                  accent={basisIndex === index ? 'bg-red-100' : 'bg-red-50'}
+                  controls={(
+                    <span className="text-xs text-gray-500">
+                      {grouped[index].changes.filter(change => change.removed).length} deletions
+                    </span>
+                  )}
+                  paneProps={navigation.paneProps(index)}
+                >
+                  <RedlineText
+                    parts={comparison.parts}
+                    partInfo={grouped[index].partInfo}
+                    side="source"
+                    current={navigation.current}
+                    trackChanges={basisIndex === index}
+                  />
+                </Panel>
+              ))}
+
+              <Panel
+                title={finalLabel}
+                accent="bg-green-50"
+                paneProps={navigation.paneProps(comparisons.length)}
+                gutter={basisGroup.changes.length > 0 && (
+                  <ChangeMinimap
+                    changes={basisGroup.changes}
+                    length={basisGroup.length}
+                    current={navigation.current}
+                    onSelect={navigation.goTo}
+                  />
+                )}
+                controls={sources.length > 1 && (
+                  <select
+                    value={basis}
+                    onChange={(e) => setBasis(e.target.value === ALL_SOURCES ? ALL_SOURCES : Number(e.target.value))}
+                    className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    title="Highlight additions relative to"
+                  >
+                    {comparisons.map((comparison, index) => (
+                      <option key={index} value={index}>Added vs {comparison.label}</option>
+                    ))}
+                    <option value={ALL_SOURCES}>Not in any source</option>
+                  </select>
+                )}
+              >
+                <RedlineText parts={finalParts} partInfo={basisGroup.partInfo} side="final" current={navigation.current} />
+              </Panel>
+            </div>
+          </div>
+
+          {/* Paragraph-level changes, one tree per source */}
+          {showStructure && sources.map((source, index) => (
+            <StructureDiffView
+              key={index}
+              sourceText={source.text}
+              finalText={finalText}
+              sourceLabel={source.label}
+              finalLabel={finalLabel}
+            />
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MultiDiffView;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { getConferenceOutcome } from '../utils/agreement';
+
+// Conference outcome pill; the phrases it was read from show on hover
+const OutcomeBadge = ({ outcome, phrases = [] }) => {
+  if (!outcome) return null;
+
+  const { label, style } = getConferenceOutcome(outcome);
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${style}`} title={phrases.join('\n')}>
+      {label}
+    </span>
+  );
+};
+
+export default OutcomeBadge;
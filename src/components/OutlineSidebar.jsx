@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, ListTree, PanelLeftClose } from 'lucide-react';
+import { outlineNodeLabel } from '../utils/outline';
+
+const OutlineNode = ({ node, depth, counts, selected, open, onToggle, onSelect }) => {
+  const count = counts.get(node.id) || 0;
+  const isOpen = open.has(node.id);
+  const isSelected = selected === node.id;
+
+  return (
+    <li>
+      <div
+        className={`flex items-center gap-1 rounded text-sm ${isSelected ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-50'}`}
+        style={{ paddingLeft: depth * 12 }}
+      >
+        {node.children.length > 0 ? (
+          <button
+            onClick={() => onToggle(node.id)}
+            className="text-gray-400 hover:text-gray-700"
+            title={isOpen ? 'Collapse' : 'Expand'}
+          >
+            {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          </button>
+        ) : (
+          <span className="w-3.5 shrink-0" />
+        )}
+        <button
+          onClick={() => onSelect(isSelected ? '' : node.id)}
+          className={`flex-1 min-w-0 flex justify-between gap-2 py-0.5 pr-1 text-left ${count === 0 ? 'text-gray-400' : ''}`}
+          title={`${outlineNodeLabel(node)}\n${count} of ${node.total} sections in the current results`}
+        >
+          <span className="truncate">
+            <span className="font-medium">{node.label}</span>
+            {node.name && <span className="text-gray-500"> {node.name}</span>}
+          </span>
+          <span className="shrink-0 text-xs text-gray-500">{count}</span>
+        </button>
+      </div>
+      {isOpen && node.children.length > 0 && (
+        <ul>
+          {node.children.map(child => (
+            <OutlineNode
+              key={child.id}
+              node={child}
+              depth={depth + 1}
+              counts={counts}
+              selected={selected}
+              open={open}
+              onToggle={onToggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Divisions, titles and subtitles from buildOutline(), with how many sections
+// of the current results each holds. Clicking a node shows only its
+// sections; clicking it again shows everything.
+const OutlineSidebar = ({ outline, counts, total, selected, onSelect, onClose }) => {
+  // Divisions start open, as does the way down to a linked node
+  const [open, setOpen] = useState(() => new Set([
+    ...outline.nodes.map(node => node.id),
+    ...[...outline.pathOf.values()].find(path => path.includes(selected)) || [],
+  ]));
+
+  const toggle = (id) => {
+    setOpen(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  return (
+    <nav className="w-72 shrink-0 bg-white rounded-lg shadow p-3 sticky top-4 max-h-[calc(100vh-2rem)] overflow-y-auto">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="font-semibold text-gray-700 flex items-center gap-2">
+          <ListTree size={16} />
+          Outline
+        </h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700" title="Hide the outline">
+          <PanelLeftClose size={16} />
+        </button>
+      </div>
+      <button
+        onClick={() => onSelect('')}
+        className={`w-full flex justify-between gap-2 rounded px-1 py-0.5 text-sm text-left ${
+          selected ? 'hover:bg-gray-50' : 'bg-blue-100 text-blue-800'
+        }`}
+      >
+        <span className="font-medium">Whole bill</span>
+        <span className="text-xs text-gray-500">{total}</span>
+      </button>
+      {outline.nodes.length === 0 ? (
+        <p className="text-sm text-gray-500 mt-2">No sections</p>
+      ) : (
+        <ul className="mt-1">
+          {outline.nodes.map(node => (
+            <OutlineNode
+              key={node.id}
+              node={node}
+              depth={0}
+              counts={counts}
+              selected={selected}
+              open={open}
+              onToggle={toggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </nav>
+  );
+};
+
+export default OutlineSidebar;
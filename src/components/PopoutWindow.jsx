@@ -0,0 +1,49 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+
+// Renders its children into a separate browser window opened by the caller
+// (window.open must run in the click handler or the popup is blocked). The
+// children stay part of this React tree, so they share its state and data.
+const PopoutWindow = ({ popup, title, onClose, children }) => {
+  const [container, setContainer] = useState(null);
+  const onCloseRef = useRef(onClose);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    const doc = popup.document;
+    let root = doc.getElementById('popout-root');
+    if (!root) {
+      // Bring the app's styles along so the view looks the same out there
+      document.querySelectorAll('style, link[rel="stylesheet"]').forEach(node => {
+        const copy = doc.createElement(node.tagName);
+        if (node.tagName === 'LINK') {
+          copy.rel = 'stylesheet';
+          copy.href = node.href;
+        } else {
+          copy.textContent = node.textContent;
+        }
+        doc.head.appendChild(copy);
+      });
+      root = doc.createElement('div');
+      root.id = 'popout-root';
+      root.className = 'p-6';
+      doc.body.appendChild(root);
+    }
+    setContainer(root);
+
+    const handleClose = () => onCloseRef.current();
+    popup.addEventListener('pagehide', handleClose);
+    return () => popup.removeEventListener('pagehide', handleClose);
+  }, [popup]);
+
+  useEffect(() => {
+    popup.document.title = title;
+  }, [popup, title]);
+
+  return container ? createPortal(children, container) : null;
+};
+
+export default PopoutWindow;
@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react';
+import { GitMerge } from 'lucide-react';
+import { computeProvenance, ORIGINS, ORIGIN_LABELS } from '../utils/provenance';
+
+const ORIGIN_STYLES = {
+  [ORIGINS.BOTH]: { swatch: 'bg-gray-200', text: '' },
+  [ORIGINS.HOUSE]: { swatch: 'bg-blue-300', text: 'bg-blue-100 text-blue-900' },
+  [ORIGINS.SENATE]: { swatch: 'bg-purple-300', text: 'bg-purple-100 text-purple-900' },
+  [ORIGINS.NEW]: { swatch: 'bg-green-300', text: 'bg-green-200 text-green-900 font-bold' },
+};
+
+const ORIGIN_ORDER = [ORIGINS.BOTH, ORIGINS.HOUSE, ORIGINS.SENATE, ORIGINS.NEW];
+
+// Three-way comparison: colors each span of the enrolled text by whether it
+// came from the House version, the Senate version, both, or conference.
+const ProvenanceViewer = ({ houseText, senateText, finalText, finalLabel = 'Enrolled text' }) => {
+  const provenance = useMemo(
+    () => computeProvenance({ houseText, senateText, finalText }),
+    [houseText, senateText, finalText]
+  );
+
+  if (!provenance.totalWords) {
+    return (
+      <div className="border border-gray-300 rounded-lg bg-white p-6">
+        <div className="text-center text-gray-500">
+          <GitMerge size={24} className="mx-auto mb-2" />
+          <p>No enrolled text available for provenance</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-gray-300 rounded-lg overflow-hidden bg-white">
+      <div className="bg-gray-100 border-b border-gray-300 p-3">
+        <div className="flex items-center gap-4">
+          <GitMerge size={16} className="text-gray-600" />
+          <span className="font-medium text-gray-700">Provenance of {finalLabel}</span>
+          <span className="text-sm text-gray-500">{provenance.totalWords} words</span>
+        </div>
+      </div>
+
+      {/* Legend with per-section percentages */}
+      <div className="p-3 border-b border-gray-200 space-y-2">
+        <div className="flex h-2 rounded overflow-hidden">
+          {ORIGIN_ORDER.map(origin => (
+            <div
+              key={origin}
+              className={ORIGIN_STYLES[origin].swatch}
+              style={{ width: `${provenance.percentages[origin]}%` }}
+              title={`${ORIGIN_LABELS[origin]}: ${provenance.percentages[origin].toFixed(1)}%`}
+            />
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-4 text-xs text-gray-700">
+          {ORIGIN_ORDER.map(origin => (
+            <span key={origin} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded ${ORIGIN_STYLES[origin].swatch}`} />
+              {ORIGIN_LABELS[origin]}
+              <span className="text-gray-500">
+                {provenance.percentages[origin].toFixed(1)}% ({provenance.counts[origin]})
+              </span>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="p-3 text-sm leading-relaxed max-h-80 overflow-y-auto whitespace-pre-wrap">
+        {provenance.spans.map((span, index) => (
+          <span key={index} className={ORIGIN_STYLES[span.origin].text} title={ORIGIN_LABELS[span.origin]}>
+            {span.text}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ProvenanceViewer;
@@ -0,0 +1,146 @@
+import React, { useState, useMemo } from 'react';
+import { GitCompare } from 'lucide-react';
+import { computeRedline, GRANULARITIES, DEFAULT_REDLINE_OPTIONS } from '../utils/redline';
+import { groupChanges } from '../utils/changes';
+import { useDiffNavigation } from '../hooks/useDiffNavigation';
+import { RedlineText, ChangeToolbar, ChangeMinimap, ChangeSummary } from './ChangeNavigation';
+
+const IGNORE_OPTIONS = [
+  { key: 'ignoreWhitespace', label: 'Whitespace' },
+  { key: 'ignorePunctuation', label: 'Punctuation' },
+  { key: 'ignoreCase', label: 'Case' },
+  { key: 'ignoreSectionNumber', label: 'Section number' },
+];
+
+// Side-by-side redline of a source text against the final text. Options can be
+// controlled by the parent (so every redline in a section shares them) or left
+// to the viewer.
+const RedLiningViewer = ({
+  sourceText,
+  finalText,
+  sourceLabel = 'Original text',
+  finalLabel = 'Changed text',
+  options: controlledOptions,
+  onOptionsChange,
+}) => {
+  const [localOptions, setLocalOptions] = useState(DEFAULT_REDLINE_OPTIONS);
+  const [showSummary, setShowSummary] = useState(false);
+  const options = controlledOptions || localOptions;
+  const setOption = (key, value) => {
+    const next = { ...options, [key]: value };
+    if (onOptionsChange) onOptionsChange(next);
+    else setLocalOptions(next);
+  };
+
+  const redline = useMemo(() => computeRedline(sourceText, finalText, options), [sourceText, finalText, options]);
+  const { changes, partInfo, length } = useMemo(() => groupChanges(redline.parts), [redline]);
+  const navigation = useDiffNavigation(changes);
+
+  if (!redline.source && !redline.final) {
+    return (
+      <div className="border border-gray-300 rounded-lg bg-white p-6">
+        <div className="text-center text-gray-500">
+          <GitCompare size={24} className="mx-auto mb-2" />
+          <p>No text available for comparison</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { parts } = redline;
+  const deletions = changes.filter(change => change.removed).length;
+  const additions = changes.filter(change => change.added).length;
+  const hasChanges = changes.length > 0;
+
+  return (
+    <div className="border border-gray-300 rounded-lg overflow-hidden bg-white" tabIndex={0} onKeyDown={navigation.onKeyDown}>
+      <div className="bg-gray-100 border-b border-gray-300 p-3">
+        <div className="flex items-center gap-4">
+          <GitCompare size={16} className="text-gray-600" />
+          <span className="font-medium text-gray-700">Text Comparison</span>
+          <span className="text-sm text-gray-500">
+            {sourceLabel} vs {finalLabel}
+          </span>
+        </div>
+      </div>
+
+      {/* Comparison options */}
+      <div className="flex flex-wrap items-center gap-4 p-2 border-b border-gray-200 text-xs text-gray-700">
+        <label className="flex items-center gap-1">
+          Compare by
+          <select
+            value={options.granularity}
+            onChange={(e) => setOption('granularity', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {GRANULARITIES.map(granularity => (
+              <option key={granularity.value} value={granularity.value}>{granularity.label}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-gray-500">Ignore:</span>
+        {IGNORE_OPTIONS.map(option => (
+          <label key={option.key} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={options[option.key]}
+              onChange={(e) => setOption(option.key, e.target.checked)}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+
+      <div className={`p-2 text-xs ${hasChanges ? 'bg-blue-50 text-blue-700' : 'bg-green-50 text-green-700'}`}>
+        <ChangeToolbar
+          changes={changes}
+          current={navigation.current}
+          onPrevious={navigation.previous}
+          onNext={navigation.next}
+          showSummary={showSummary}
+          onToggleSummary={() => setShowSummary(prev => !prev)}
+        />
+        {redline.granularity !== options.granularity && (
+          <div className="mt-1">
+            Too many changes to compare by {GRANULARITIES.find(granularity => granularity.value === options.granularity).label.toLowerCase()}; showing words
+          </div>
+        )}
+      </div>
+      {showSummary && hasChanges && (
+        <div className="border-b border-gray-200">
+          <ChangeSummary changes={changes} current={navigation.current} onSelect={navigation.goTo} />
+        </div>
+      )}
+
+      <div className="flex h-80">
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="bg-gray-100 border-b border-gray-300 p-3 border-r border-gray-300">
+            <span className="font-medium text-gray-700">{sourceLabel}</span>
+            {hasChanges && (
+              <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-1 rounded">{deletions} deletions</span>
+            )}
+          </div>
+          <div className="flex-1 p-3 overflow-y-auto text-sm leading-relaxed border-r border-gray-300" {...navigation.paneProps(0)}>
+            <RedlineText parts={parts} partInfo={partInfo} side="source" current={navigation.current} />
+          </div>
+        </div>
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="bg-gray-100 border-b border-gray-300 p-3">
+            <span className="font-medium text-gray-700">{finalLabel}</span>
+            {hasChanges && (
+              <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-1 rounded">{additions} additions</span>
+            )}
+          </div>
+          <div className="flex-1 p-3 overflow-y-auto text-sm leading-relaxed" {...navigation.paneProps(1)}>
+            <RedlineText parts={parts} partInfo={partInfo} side="final" current={navigation.current} />
+          </div>
+        </div>
+        {hasChanges && (
+          <ChangeMinimap changes={changes} length={length} current={navigation.current} onSelect={navigation.goTo} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RedLiningViewer;
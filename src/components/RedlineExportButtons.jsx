@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { FileCode, FileText, Printer } from 'lucide-react';
+import { exportRedlines } from '../utils/redlineDocument';
+
+const FORMAT_BUTTONS = [
+  { id: 'html', label: 'HTML', icon: <FileCode size={14} /> },
+  { id: 'docx', label: 'Word', icon: <FileText size={14} /> },
+  { id: 'print', label: 'Print / PDF', icon: <Printer size={14} /> },
+];
+
+// Buttons writing a redline document. `getSections` builds the sections when
+// a button is clicked, since diffing many sections isn't free; `options` go to
+// exportRedlines.
+const RedlineExportButtons = ({ getSections, heading, fileName, options = {}, disabled = false }) => {
+  const [error, setError] = useState(null);
+
+  const run = (format) => {
+    setError(null);
+    try {
+      if (!exportRedlines(format, getSections(), { heading, fileName, ...options })) {
+        setError('Allow pop-ups for this site to print');
+      }
+    } catch (error) {
+      console.error('Error exporting redlines:', error);
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {FORMAT_BUTTONS.map(({ id, label, icon }) => (
+        <button
+          key={id}
+          onClick={() => run(id)}
+          disabled={disabled}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+          title={`Redline as ${label}`}
+        >
+          {icon}
+          {label}
+        </button>
+      ))}
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default RedlineExportButtons;
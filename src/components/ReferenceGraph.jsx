@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from 'react';
+import { Network } from 'lucide-react';
+import { referenceGraph, referenceLabel } from '../utils/references';
+
+// Graphs much larger than this are unreadable; narrow the results first
+const MAX_ENTRIES = 150;
+
+const ROW = 24;
+const WIDTH = 1000;
+const SECTION_WIDTH = 150;
+const ENTRY_X = 260;
+const ENTRY_WIDTH = 480;
+const LABEL_CHARS = 72;
+
+// SVG colours are set as attributes so the graph reads without a stylesheet
+const COLORS = {
+  entry: { fill: '#eff6ff', stroke: '#bfdbfe' },
+  consolidating: { fill: '#fef3c7', stroke: '#fbbf24' },
+  section: { fill: '#f3f4f6', stroke: '#d1d5db' },
+  shared: { fill: '#fee2e2', stroke: '#f87171' },
+  edge: '#d1d5db',
+  linkedEdge: '#f59e0b',
+  activeEdge: '#3b82f6',
+  text: '#1f2937',
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Chamber sections sit level with the mean position of the entries that
+// reference them, pushed down where they would overlap
+const placeSections = (sections, entryY) => {
+  const placed = sections
+    .map(section => {
+      const ys = section.entries.filter(key => entryY.has(key)).map(key => entryY.get(key));
+      return { section, desired: ys.reduce((sum, y) => sum + y, 0) / ys.length };
+    })
+    .sort((a, b) => a.desired - b.desired);
+
+  let next = 0;
+  return placed.map(({ section, desired }) => {
+    const y = Math.max(desired, next);
+    next = y + ROW;
+    return { section, y };
+  });
+};
+
+const layout = (graph, entries) => {
+  const entryY = new Map(entries.map((entry, index) => [entry.key, index * ROW]));
+  const visible = [...graph.sections.values()].filter(section => section.entries.some(key => entryY.has(key)));
+  const left = placeSections(visible.filter(section => section.chamber === 'house'), entryY);
+  const right = placeSections(visible.filter(section => section.chamber !== 'house'), entryY);
+  const height = Math.max(entries.length * ROW, ...[...left, ...right].map(({ y }) => y + ROW), ROW);
+  return { entryY, left, right, height };
+};
+
+const edgePath = (x1, y1, x2, y2) => {
+  const mid = (x1 + x2) / 2;
+  return `M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2},${y2}`;
+};
+
+// JES entries of the current results in the middle, the House sections they
+// reference on the left and the Senate (and Senate amendment) sections on the
+// right. Entries consolidating several sections of one bill and sections
+// shared by several entries are highlighted; clicking an entry opens it.
+const ReferenceGraph = ({ groups, onSelect }) => {
+  const [linkedOnly, setLinkedOnly] = useState(false);
+  const [hovered, setHovered] = useState(null); // entry key or section id
+
+  const graph = useMemo(() => referenceGraph(groups), [groups]);
+  const candidates = useMemo(() => (linkedOnly
+    ? graph.entries.filter(entry => entry.consolidates || entry.refs.some(id => graph.sections.get(id).shared))
+    : graph.entries
+  ), [graph, linkedOnly]);
+  const entries = useMemo(() => candidates.slice(0, MAX_ENTRIES), [candidates]);
+  const { entryY, left, right, height } = useMemo(() => layout(graph, entries), [graph, entries]);
+  const entryByKey = useMemo(() => new Map(graph.entries.map(entry => [entry.key, entry])), [graph]);
+
+  const isActive = (entryKey, sectionId) => !hovered || hovered === entryKey || hovered === sectionId;
+  const consolidating = graph.entries.filter(entry => entry.consolidates).length;
+  const shared = [...graph.sections.values()].filter(section => section.shared).length;
+
+  const sectionNode = ({ section, y }, x, anchor) => (
+    <g
+      key={section.id}
+      style={{ cursor: 'pointer' }}
+      onMouseEnter={() => setHovered(section.id)}
+      onMouseLeave={() => setHovered(null)}
+      onClick={() => onSelect(section.entries[0])}
+    >
+      <title>{`${referenceLabel(section.chamber, section.section)}\n${section.entries.join('\n')}`}</title>
+      <rect
+        x={x}
+        y={y + 2}
+        width={SECTION_WIDTH}
+        height={ROW - 4}
+        rx={4}
+        {...(section.shared ? COLORS.shared : COLORS.section)}
+      />
+      <text x={anchor === 'end' ? x + SECTION_WIDTH - 6 : x + 6} y={y + ROW / 2 + 4} textAnchor={anchor} fontSize={12} fill={COLORS.text}>
+        {referenceLabel(section.chamber, section.section)}
+      </text>
+    </g>
+  );
+
+  const edges = (placed, fromX, toX) => placed.flatMap(({ section, y }) => section.entries
+    .filter(key => entryY.has(key))
+    .map(key => {
+      const entry = entryByKey.get(key);
+      const active = isActive(key, section.id);
+      return (
+        <path
+          key={`${section.id}-${key}`}
+          d={edgePath(fromX, y + ROW / 2, toX, entryY.get(key) + ROW / 2)}
+          fill="none"
+          strokeWidth={hovered && active ? 2 : 1}
+          stroke={hovered && active ? COLORS.activeEdge : entry.consolidates || section.shared ? COLORS.linkedEdge : COLORS.edge}
+          opacity={active ? 1 : 0.15}
+        />
+      );
+    }));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h2 className="font-semibold text-gray-700 flex items-center gap-2">
+          <Network size={18} />
+          Reference Graph
+        </h2>
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          <input type="checkbox" checked={linkedOnly} onChange={(e) => setLinkedOnly(e.target.checked)} />
+          Only consolidations and shared sections
+        </label>
+      </div>
+      <p className="text-sm text-gray-600 mb-1">
+        {groups.length} sections in the current results: {consolidating} consolidate several sections of one bill
+        and {shared} bill sections are referenced by more than one entry.
+      </p>
+      <p className="text-xs text-gray-500 mb-3">
+        House sections are on the left, Senate and Senate amendment sections on the right. Highlighted links and
+        red sections mark consolidations and shared sections. Click an entry to open it in the results.
+        {candidates.length > MAX_ENTRIES && ` Showing the first ${MAX_ENTRIES} of ${candidates.length} entries; narrow the results with the search and filters to see the rest.`}
+      </p>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No references to show</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <svg width={WIDTH} height={height} viewBox={`0 0 ${WIDTH} ${height}`} className="block">
+            {edges(left, SECTION_WIDTH, ENTRY_X)}
+            {edges(right, WIDTH - SECTION_WIDTH, ENTRY_X + ENTRY_WIDTH)}
+            {left.map(placed => sectionNode(placed, 0, 'start'))}
+            {right.map(placed => sectionNode(placed, WIDTH - SECTION_WIDTH, 'end'))}
+            {entries.map(entry => (
+              <g
+                key={entry.key}
+                style={{ cursor: 'pointer' }}
+                onMouseEnter={() => setHovered(entry.key)}
+                onMouseLeave={() => setHovered(null)}
+                onClick={() => onSelect(entry.key)}
+                opacity={!hovered || hovered === entry.key || entry.refs.includes(hovered) ? 1 : 0.4}
+              >
+                <title>{entry.header}</title>
+                <rect
+                  x={ENTRY_X}
+                  y={entryY.get(entry.key) + 2}
+                  width={ENTRY_WIDTH}
+                  height={ROW - 4}
+                  rx={4}
+                  {...(entry.consolidates ? COLORS.consolidating : COLORS.entry)}
+                />
+                <text x={ENTRY_X + 8} y={entryY.get(entry.key) + ROW / 2 + 4} fontSize={12} fill={COLORS.text}>
+                  {truncate(entry.header, LABEL_CHARS)}
+                </text>
+              </g>
+            ))}
+          </svg>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReferenceGraph;
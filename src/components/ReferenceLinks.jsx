@@ -0,0 +1,53 @@
+import React from 'react';
+import { REFERENCE_CHAMBERS, rowReferences, sectionReferences, referenceLabel, resolveReference } from '../utils/references';
+
+// The chamber bill sections a section references, as chips. A chip that
+// resolves to another section of the results jumps there through `onGo`;
+// one that only resolves to this section, or to nothing in the loaded data,
+// is plain text.
+const ReferenceLinks = ({ rows, groupKey, index, onGo }) => {
+  const refs = sectionReferences(rows);
+  const divisions = [...new Set(rows.flatMap(row => rowReferences(row)
+    .filter(reference => reference.division)
+    .map(reference => `${REFERENCE_CHAMBERS[reference.chamber]?.label || reference.bill} div. ${reference.division}`)))];
+
+  if (refs.length === 0 && divisions.length === 0) return <span className="text-gray-500">None</span>;
+
+  return (
+    <span className="inline-flex flex-wrap gap-1">
+      {refs.map(ref => {
+        const label = referenceLabel(ref.chamber, ref.section);
+        const style = REFERENCE_CHAMBERS[ref.chamber].style;
+        const targets = resolveReference(index, ref.id).filter(key => key !== groupKey);
+        const resolved = targets.length > 0 || resolveReference(index, ref.id).includes(groupKey);
+
+        if (targets.length === 0) {
+          return (
+            <span
+              key={ref.id}
+              className={`px-2 py-0.5 rounded text-xs whitespace-nowrap ${resolved ? style : 'bg-gray-100 text-gray-400'}`}
+              title={resolved ? 'This section' : 'Not in the loaded data'}
+            >
+              {label}
+            </span>
+          );
+        }
+        return (
+          <button
+            key={ref.id}
+            onClick={() => onGo(targets[0])}
+            className={`px-2 py-0.5 rounded text-xs whitespace-nowrap underline hover:opacity-80 ${style}`}
+            title={`Also in: ${targets.join('\n')}`}
+          >
+            {label}
+          </button>
+        );
+      })}
+      {divisions.map(division => (
+        <span key={division} className="px-2 py-0.5 rounded text-xs whitespace-nowrap bg-gray-100 text-gray-600">{division}</span>
+      ))}
+    </span>
+  );
+};
+
+export default ReferenceLinks;
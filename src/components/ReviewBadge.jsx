@@ -0,0 +1,17 @@
+import React from 'react';
+import { getReviewStatus, reviewStatusOf, isDefaultReview } from '../utils/review';
+
+// Review status pill with the assignee; nothing for an untouched section
+const ReviewBadge = ({ review }) => {
+  if (isDefaultReview(review)) return null;
+
+  const { label, style } = getReviewStatus(reviewStatusOf(review));
+  return (
+    <span className="inline-flex items-center gap-1 text-xs whitespace-nowrap">
+      <span className={`px-2 py-0.5 rounded-full ${style}`}>{label}</span>
+      {review.assignee && <span className="text-gray-600">{review.assignee}</span>}
+    </span>
+  );
+};
+
+export default ReviewBadge;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { ClipboardCheck } from 'lucide-react';
+import { REVIEW_STATUSES, reviewStatusOf } from '../utils/review';
+
+// Status and assignee of one section's review; `onChange` gets the changed fields
+const ReviewControls = ({ review, assignees, onChange }) => {
+  const [assignee, setAssignee] = useState(null); // being typed
+
+  const commitAssignee = () => {
+    if (assignee !== null && assignee.trim() !== (review?.assignee || '')) onChange({ assignee: assignee.trim() });
+    setAssignee(null);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mr-auto text-sm">
+      <ClipboardCheck size={16} className="text-gray-500" />
+      <select
+        value={reviewStatusOf(review)}
+        onChange={(e) => onChange({ status: e.target.value })}
+        className="px-2 py-1 border border-gray-300 rounded bg-white text-sm"
+        aria-label="Review status"
+      >
+        {REVIEW_STATUSES.map(status => (
+          <option key={status.id} value={status.id}>{status.label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={assignee ?? review?.assignee ?? ''}
+        onChange={(e) => setAssignee(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commitAssignee();
+        }}
+        onBlur={commitAssignee}
+        list="review-assignees"
+        placeholder="Assignee"
+        className="px-2 py-1 border border-gray-300 rounded text-sm w-36 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <datalist id="review-assignees">
+        {assignees.map(name => <option key={name} value={name} />)}
+      </datalist>
+      {review?.updated && (
+        <span className="text-xs text-gray-500">Updated {new Date(review.updated).toLocaleString()}</span>
+      )}
+    </div>
+  );
+};
+
+export default ReviewControls;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ListChecks } from 'lucide-react';
+import TeamFileButtons from './TeamFileButtons';
+import { REVIEW_STATUSES } from '../utils/review';
+
+// Stacked bar of a { total, counts } tally, one segment per status
+const ProgressBar = ({ total, counts }) => (
+  <span className="flex flex-1 h-3 bg-gray-100 rounded overflow-hidden">
+    {REVIEW_STATUSES.filter(status => status.id !== 'unreviewed').map(status => (
+      <span
+        key={status.id}
+        className={`block h-3 ${status.bar}`}
+        style={{ width: `${total ? (counts[status.id] / total) * 100 : 0}%` }}
+        title={`${status.label}: ${counts[status.id]}`}
+      />
+    ))}
+  </span>
+);
+
+const percentReviewed = ({ total, counts }) => (total ? Math.round((counts.reviewed / total) * 100) : 0);
+
+// Review progress for the bill and per title, from reviewProgress(), with the
+// team file import/export. Clicking a title lists its sections.
+const ReviewPanel = ({ progress, dataset, entries, parse, onMerge, onSelect }) => (
+  <div className="mb-6 bg-white rounded-lg shadow p-4">
+    <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+      <h2 className="font-semibold text-gray-700 flex items-center gap-2">
+        <ListChecks size={18} />
+        Review Progress
+      </h2>
+      <TeamFileButtons kind="reviews" label="Reviews" dataset={dataset} entries={entries} parse={parse} onMerge={onMerge} />
+    </div>
+
+    <div className="flex items-center gap-2 text-sm mb-2">
+      <span className="w-44 shrink-0 font-medium text-gray-700">Whole bill</span>
+      <ProgressBar {...progress.overall} />
+      <span className="w-28 shrink-0 text-right text-gray-600">
+        {progress.overall.counts.reviewed}/{progress.overall.total} ({percentReviewed(progress.overall)}%)
+      </span>
+    </div>
+    <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-3">
+      {REVIEW_STATUSES.map(status => (
+        <span key={status.id} className="flex items-center gap-1">
+          <span className={`inline-block w-3 h-3 rounded ${status.bar}`} />
+          {status.label} ({progress.overall.counts[status.id]})
+        </span>
+      ))}
+    </div>
+
+    <div className="space-y-1 max-h-72 overflow-y-auto">
+      {progress.titles.map(title => (
+        <button
+          key={title.id}
+          onClick={() => onSelect(title.filter)}
+          disabled={!title.filter}
+          className="w-full flex items-center gap-2 text-left text-sm rounded px-1 py-0.5 hover:bg-blue-50 disabled:hover:bg-transparent"
+          title={title.filter ? `Show the ${title.total} sections of ${title.label}` : undefined}
+        >
+          <span className="w-44 shrink-0 truncate text-gray-700">{title.label}</span>
+          <ProgressBar {...title} />
+          <span className="w-28 shrink-0 text-right text-gray-600">{title.counts.reviewed}/{title.total}</span>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default ReviewPanel;
@@ -0,0 +1,201 @@
+import React, { useEffect } from 'react';
+import { ArrowLeft, ChevronLeft, ChevronRight, GitCompare, FileText } from 'lucide-react';
+import RedLiningViewer from './RedLiningViewer';
+import ReferenceLinks from './ReferenceLinks';
+import ReviewControls from './ReviewControls';
+import SimilarityBadge from './SimilarityBadge';
+import OutcomeBadge from './OutcomeBadge';
+import GroupingBadge from './GroupingBadge';
+import LongText from './LongText';
+import { ENR_COLUMN } from '../utils/columns';
+import { versionLabel, finalLabel, enrolledTextLabel } from '../utils/datasets';
+import { rowAgreement } from '../utils/agreement';
+import { similarityBand, charDelta } from '../utils/similarity';
+
+const isTyping = (target) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+
+// One section on a page of its own, for going through the results in order:
+// every version, the redline against the enrolled text, the enrolled text and
+// the Joint Explanatory Statement. `index` is its place in the current
+// results (-1 if they leave it out); `onPrevious` and `onNext` are null at
+// either end. j and k step through the results.
+const SectionDetail = ({
+  group, dataset, index, total, onPrevious, onNext, onClose, onOpenDiffTool,
+  review, assignees, onReviewChange, referenceIndex, onGo, scoreOf, redlineOptions, onRedlineOptionsChange,
+}) => {
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (isTyping(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.key === 'j' && onNext) {
+        e.preventDefault();
+        onNext();
+      } else if (e.key === 'k' && onPrevious) {
+        e.preventDefault();
+        onPrevious();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onPrevious, onNext]);
+
+  const navigation = (
+    <div className="flex flex-wrap justify-between items-center gap-2">
+      <button
+        onClick={onClose}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50"
+      >
+        <ArrowLeft size={14} />
+        Back to results
+      </button>
+      <div className="flex items-center gap-2">
+        <span className="text-sm text-gray-600">
+          {index === -1 ? 'Not in the current results' : `Section ${index + 1} of ${total}`}
+        </span>
+        <button
+          onClick={onPrevious}
+          disabled={!onPrevious}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+          title="Previous section (k)"
+        >
+          <ChevronLeft size={14} />
+          Previous
+        </button>
+        <button
+          onClick={onNext}
+          disabled={!onNext}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+          title="Next section (j)"
+        >
+          Next
+          <ChevronRight size={14} />
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!group) {
+    return (
+      <div className="space-y-4">
+        {navigation}
+        <p className="text-gray-600">This section isn't in the loaded data.</p>
+      </div>
+    );
+  }
+
+  const finalText = group.rows.find(row => row[ENR_COLUMN])?.[ENR_COLUMN];
+  const sourceRows = group.rows.filter(row => row.source_full_section_text);
+  const jesText = group.rows.find(row => row.full_text)?.full_text;
+  const agreement = group.rows.map(rowAgreement).find(({ outcome }) => outcome);
+
+  return (
+    <div className="space-y-6">
+      {navigation}
+
+      <div className="bg-white rounded-lg shadow p-4 space-y-3">
+        <div className="flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <FileText size={20} />
+              {group.key}
+            </h2>
+            <div className="mt-1 flex flex-wrap items-center gap-2">
+              {agreement && <OutcomeBadge {...agreement} />}
+              {group.confidence && group.confidence.level !== 'high' && <GroupingBadge confidence={group.confidence} />}
+            </div>
+          </div>
+          {finalText && sourceRows.length > 0 && (
+            <button
+              onClick={onOpenDiffTool}
+              className="bg-blue-600 text-white px-3 py-2 rounded-lg text-sm flex items-center gap-2 hover:bg-blue-700"
+            >
+              <GitCompare size={14} />
+              Open Diff Tool
+            </button>
+          )}
+        </div>
+        <div className="flex">
+          <ReviewControls review={review} assignees={assignees} onChange={onReviewChange} />
+        </div>
+        <div className="text-sm">
+          <strong>References:</strong>{' '}
+          <ReferenceLinks rows={group.rows} groupKey={group.key} index={referenceIndex} onGo={onGo} />
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-3">Versions ({group.rows.length})</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {group.rows.map((row, idx) => (
+            <div key={idx} className="border rounded-lg p-3 bg-white">
+              <div className="font-medium text-blue-600 mb-2">{versionLabel(dataset, row.source_bill_type)}</div>
+              <div className="text-sm space-y-1">
+                <div><strong>Section:</strong> {row.referenced_section_number || 'None'}</div>
+                {row.section_header && <div><strong>Title:</strong> {row.section_header}</div>}
+                <div><strong>Words:</strong> {row.word_count}</div>
+                <div className="flex items-center gap-1">
+                  <strong>Similarity:</strong>
+                  <SimilarityBadge score={scoreOf(row)} band={similarityBand(row, scoreOf(row))} delta={charDelta(row)} />
+                </div>
+                <div><strong>References:</strong> <ReferenceLinks rows={[row]} groupKey={group.key} index={referenceIndex} onGo={onGo} /></div>
+                <div><strong>Agreement Phrases:</strong> {rowAgreement(row).phrases.join(' ') || 'None'}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {finalText && sourceRows.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">Redline</h3>
+          <div className="space-y-4">
+            {sourceRows.map((row, idx) => (
+              <RedLiningViewer
+                key={idx}
+                sourceText={row.source_full_section_text}
+                finalText={finalText}
+                sourceLabel={versionLabel(dataset, row.source_bill_type)}
+                finalLabel={finalLabel(dataset)}
+                options={redlineOptions}
+                onOptionsChange={onRedlineOptionsChange}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-3">Source Text</h3>
+        <div className="space-y-4">
+          {group.rows.map((row, idx) => (
+            <div key={idx}>
+              <div className="font-medium text-blue-600 text-sm mb-2">
+                {versionLabel(dataset, row.source_bill_type)}{row.referenced_section_number && ` - Section ${row.referenced_section_number}`}
+              </div>
+              <LongText
+                className="bg-white border rounded p-4 text-sm max-h-96 overflow-y-auto leading-relaxed whitespace-pre-line"
+                text={row.source_full_section_text || 'No source text available'}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {finalText && (
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">{enrolledTextLabel(dataset)}</h3>
+          <LongText className="bg-green-50 border border-green-200 rounded p-3 text-sm max-h-96 overflow-y-auto whitespace-pre-line" text={finalText} />
+        </div>
+      )}
+
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-3">Joint Explanatory Statement</h3>
+        <LongText
+          className="bg-blue-50 border border-blue-200 rounded p-3 text-sm max-h-96 overflow-y-auto whitespace-pre-wrap"
+          text={jesText || 'No explanatory statement text available'}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SectionDetail;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { getSimilarityBand } from '../utils/similarity';
+
+const formatDelta = (delta) => {
+  if (delta === null) return null;
+  const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+  return `${sign}${Math.abs(delta).toLocaleString()} chars`;
+};
+
+// Similarity of a source version to the enrolled text: percentage, band and
+// the change in length
+const SimilarityBadge = ({ score, band, delta = null }) => {
+  if (score === undefined) return <span className="text-xs text-gray-400">…</span>;
+  if (!band) return <span className="text-xs text-gray-400">n/a</span>;
+
+  const { label, style } = getSimilarityBand(band);
+  return (
+    <span className="inline-flex flex-wrap items-center gap-1" title={label}>
+      {band !== 'dropped' && <span className="text-sm text-gray-900">{Math.round(score * 100)}%</span>}
+      <span className={`px-2 py-0.5 rounded-full text-xs ${style}`}>{label}</span>
+      {delta !== null && <span className="text-xs text-gray-500">{formatDelta(delta)}</span>}
+    </span>
+  );
+};
+
+export default SimilarityBadge;
@@ -0,0 +1,103 @@
+import React, { useState, useMemo } from 'react';
+import { ListTree } from 'lucide-react';
+import { compareStructure, CHANGE_LABELS } from '../utils/structureDiff';
+
+const CHANGE_STYLES = {
+  inserted: 'bg-green-100 text-green-800',
+  struck: 'bg-red-100 text-red-800',
+  modified: 'bg-yellow-100 text-yellow-800',
+  moved: 'bg-purple-100 text-purple-800',
+  redesignated: 'bg-blue-100 text-blue-800',
+};
+
+const hasChanges = (node) => node.changes.length > 0 || node.children.some(hasChanges);
+
+const UnitText = ({ node }) => {
+  if (node.parts) {
+    return node.parts.map((part, index) => {
+      if (part.removed) return <span key={index} className="bg-red-200 text-red-900 line-through">{part.value}</span>;
+      if (part.added) return <span key={index} className="bg-green-200 text-green-900">{part.value}</span>;
+      return <span key={index}>{part.value}</span>;
+    });
+  }
+  if (node.changes.includes('inserted')) return <span className="bg-green-100 text-green-900">{node.text}</span>;
+  if (node.changes.includes('struck')) return <span className="bg-red-100 text-red-900 line-through">{node.text}</span>;
+  return <span className="text-gray-600">{node.text}</span>;
+};
+
+const StructureNode = ({ node, hideUnchanged, isRoot = false }) => {
+  if (hideUnchanged && !hasChanges(node)) return null;
+
+  return (
+    <li className={isRoot ? '' : 'pl-4 border-l border-gray-200'}>
+      <div className="py-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-mono text-xs text-gray-700">{isRoot ? 'Section' : node.path}</span>
+          {node.changes.map(change => (
+            <span key={change} className={`px-2 py-0.5 rounded text-xs ${CHANGE_STYLES[change]}`}>
+              {CHANGE_LABELS[change]}
+              {(change === 'moved' || change === 'redesignated') && ` from ${node.fromPath}`}
+            </span>
+          ))}
+        </div>
+        {node.text && (
+          <div className="text-sm leading-relaxed mt-1">
+            <UnitText node={node} />
+          </div>
+        )}
+      </div>
+      {node.children.length > 0 && (
+        <ul>
+          {node.children.map(child => (
+            <StructureNode key={child.key} node={child} hideUnchanged={hideUnchanged} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Paragraph-level comparison of two versions of a section: which units were
+// inserted, struck, modified, moved or redesignated, laid out as the final
+// text's (a)/(1)/(A) tree with struck units where they used to be
+const StructureDiffView = ({ sourceText, finalText, sourceLabel, finalLabel }) => {
+  const [hideUnchanged, setHideUnchanged] = useState(true);
+  const { tree, counts, unitCount } = useMemo(
+    () => compareStructure(sourceText, finalText),
+    [sourceText, finalText]
+  );
+
+  return (
+    <div className="border border-gray-300 rounded-lg overflow-hidden bg-white">
+      <div className="bg-gray-100 border-b border-gray-300 p-3 flex flex-wrap items-center gap-3">
+        <ListTree size={16} className="text-gray-600" />
+        <span className="font-medium text-gray-700">Structure: {sourceLabel} → {finalLabel}</span>
+        {Object.keys(CHANGE_LABELS).filter(change => counts[change] > 0).map(change => (
+          <span key={change} className={`px-2 py-0.5 rounded text-xs ${CHANGE_STYLES[change]}`}>
+            {counts[change]} {CHANGE_LABELS[change].toLowerCase()}
+          </span>
+        ))}
+        <label className="ml-auto flex items-center gap-1 text-xs text-gray-600">
+          <input type="checkbox" checked={hideUnchanged} onChange={(e) => setHideUnchanged(e.target.checked)} />
+          Hide unchanged
+        </label>
+      </div>
+
+      <div className="p-3 max-h-[70vh] overflow-y-auto">
+        {unitCount === 0 ? (
+          <p className="text-sm text-gray-500">
+            No (a)/(1)/(A) structure found in either version; use the redline for this section
+          </p>
+        ) : hideUnchanged && !hasChanges(tree) ? (
+          <p className="text-sm text-gray-500">No structural changes; {counts.unchanged} units carried over as-is</p>
+        ) : (
+          <ul>
+            <StructureNode node={tree} hideUnchanged={hideUnchanged} isRoot />
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StructureDiffView;
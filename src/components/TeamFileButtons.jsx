@@ -0,0 +1,59 @@
+import React, { useRef, useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { writeTeamFile } from '../utils/teamFile';
+import { downloadFile } from '../utils/download';
+
+// Export of one kind of per-section user data as a JSON team file, and import
+// of a colleague's file. `parse` reads a file's text into { dataset, entries }
+// and `onMerge` merges the entries, returning how many sections changed.
+const TeamFileButtons = ({ kind, label, dataset, entries, parse, onMerge }) => {
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+  const count = Object.keys(entries).length;
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const { dataset: fileDataset, entries: imported } = parse(await file.text());
+      const changed = onMerge(imported);
+      const otherDataset = fileDataset && fileDataset !== dataset.id ? ` (exported from ${fileDataset})` : '';
+      setMessage({ error: false, text: `Updated ${changed} of ${Object.keys(imported).length} sections${otherDataset}` });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="hidden"
+        onChange={(e) => {
+          importFile(e.target.files[0]);
+          e.target.value = ''; // allow importing the same file again
+        }}
+      />
+      {message && <span className={`text-xs ${message.error ? 'text-red-600' : 'text-gray-600'}`}>{message.text}</span>}
+      <button
+        onClick={() => downloadFile(writeTeamFile(kind, dataset.id, entries), `ndaa-${dataset.id}-${kind}.json`, 'application/json')}
+        disabled={count === 0}
+        className="px-4 py-2 border border-gray-300 rounded-lg flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+        title={`Download ${label.toLowerCase()} as JSON`}
+      >
+        <Download size={16} />
+        {label} ({count})
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="px-3 py-2 border border-gray-300 rounded-lg flex items-center hover:bg-gray-50"
+        title={`Import ${label.toLowerCase()} from JSON`}
+      >
+        <Upload size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default TeamFileButtons;
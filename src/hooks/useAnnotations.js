@@ -0,0 +1,32 @@
+import { useStoredRecord } from './useStoredRecord';
+import { ANNOTATION_STORE } from '../utils/idb';
+import { isEmptyAnnotation, mergeAnnotations } from '../utils/annotations';
+import { moveSectionEntries } from '../utils/sectionIds';
+
+const NO_ENTRIES = {};
+
+// Annotations of the current dataset by section id
+export const useAnnotations = (datasetId) => {
+  const [entries, save] = useStoredRecord(ANNOTATION_STORE, datasetId, 'entries', NO_ENTRIES);
+
+  return {
+    entries,
+    // Replaces one section's annotation; an empty one is dropped
+    update: (id, annotation) => save(current => {
+      const next = { ...current };
+      if (isEmptyAnnotation(annotation)) delete next[id];
+      else next[id] = { ...annotation, updated: new Date().toISOString() };
+      return next;
+    }),
+    // Merges entries from parseAnnotationFile and returns how many sections changed
+    merge: (imported) => {
+      const { changed } = mergeAnnotations(entries, imported);
+      if (changed > 0) save(current => mergeAnnotations(current, imported).entries);
+      return changed;
+    },
+    // Follows sections regrouped by hand (see useGroupings)
+    move: (moves) => {
+      if (moves.length > 0) save(current => moveSectionEntries(current, moves, mergeAnnotations));
+    },
+  };
+};
@@ -0,0 +1,28 @@
+import { useStoredRecord } from './useStoredRecord';
+import { BASKET_STORE } from '../utils/idb';
+
+const NO_IDS = [];
+
+// Sections picked for the briefing book, by section id (see sectionIds.js),
+// saved per dataset
+export const useBasket = (datasetId) => {
+  const [ids, save] = useStoredRecord(BASKET_STORE, datasetId, 'sectionIds', NO_IDS);
+  const without = (oldIds) => save(current => current.filter(id => !oldIds.includes(id)));
+
+  return {
+    ids,
+    has: (id) => ids.includes(id),
+    toggle: (id) => save(current => (current.includes(id) ? current.filter(other => other !== id) : [...current, id])),
+    add: (newIds) => save(current => [...current, ...newIds.filter(id => !current.includes(id))]),
+    remove: (id) => without([id]),
+    removeAll: without,
+    clear: () => save(() => []),
+    // Follows sections regrouped by hand (see useGroupings)
+    move: (moves) => {
+      if (moves.length === 0) return;
+      save(current => moves.reduce((next, { from, to }) => (
+        next.includes(from) ? [...next.filter(id => id !== from), ...to.filter(id => !next.includes(id))] : next
+      ), current));
+    },
+  };
+};
@@ -0,0 +1,109 @@
+import { useState, useRef } from 'react';
+
+// Scrolling and change navigation for side-by-side diff panes. Every text span
+// in a pane carries data-offset, its position in the final text; that shared
+// coordinate lines the panes up while scrolling, even when one pane has text
+// (a long deletion) the other lacks.
+
+const anchorsOf = (pane) => {
+  const paneTop = pane.getBoundingClientRect().top - pane.scrollTop;
+  return Array.from(pane.querySelectorAll('[data-offset]')).map(element => ({
+    offset: Number(element.dataset.offset),
+    top: element.getBoundingClientRect().top - paneTop,
+  }));
+};
+
+// Final-text offset shown at scroll position `top`
+const offsetAtTop = (anchors, top) => {
+  let index = anchors.findIndex(anchor => anchor.top > top) - 1;
+  if (index === -2) index = anchors.length - 1;
+  if (index < 0) return 0;
+  const anchor = anchors[index];
+  const next = anchors[index + 1];
+  if (!next || next.top === anchor.top) return anchor.offset;
+  return anchor.offset + ((top - anchor.top) / (next.top - anchor.top)) * (next.offset - anchor.offset);
+};
+
+// Scroll position at which final-text `offset` is at the top of the pane
+const topAtOffset = (anchors, offset) => {
+  let index = anchors.findIndex(anchor => anchor.offset > offset) - 1;
+  if (index === -2) index = anchors.length - 1;
+  if (index < 0) return 0;
+  const anchor = anchors[index];
+  const next = anchors[index + 1];
+  if (!next || next.offset === anchor.offset) return anchor.top;
+  return anchor.top + ((offset - anchor.offset) / (next.offset - anchor.offset)) * (next.top - anchor.top);
+};
+
+const isTyping = (target) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+
+export const useDiffNavigation = (changes) => {
+  const panesRef = useRef([]);
+  const ignoreScrollRef = useRef(new Set()); // panes being scrolled by us, not the user
+  const frameRef = useRef(null);
+  // The position resets whenever a new diff comes in
+  const [position, setPosition] = useState({ changes, index: -1 });
+  const current = position.changes === changes ? position.index : -1;
+
+  const scrollPane = (pane, top) => {
+    const target = Math.max(0, Math.round(top));
+    const before = pane.scrollTop;
+    if (Math.abs(before - target) < 1) return;
+    ignoreScrollRef.current.add(pane);
+    pane.scrollTop = target;
+    // Already at the end of the pane: no scroll event is coming to clear the flag
+    if (pane.scrollTop === before) ignoreScrollRef.current.delete(pane);
+  };
+
+  const syncFrom = (source) => {
+    const offset = offsetAtTop(anchorsOf(source), source.scrollTop);
+    panesRef.current.forEach(pane => {
+      if (pane && pane !== source) scrollPane(pane, topAtOffset(anchorsOf(pane), offset));
+    });
+  };
+
+  const paneProps = (index) => ({
+    ref: (node) => {
+      panesRef.current[index] = node;
+    },
+    onScroll: (e) => {
+      const pane = e.currentTarget;
+      if (ignoreScrollRef.current.delete(pane)) return;
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = requestAnimationFrame(() => syncFrom(pane));
+    },
+  });
+
+  const goTo = (index) => {
+    if (changes.length === 0) return;
+    const target = (index + changes.length) % changes.length;
+    setPosition({ changes, index: target });
+
+    // A third of the way down leaves some context above the change
+    panesRef.current.forEach(pane => {
+      if (!pane) return;
+      const element = pane.querySelector(`[data-change="${target}"]`);
+      const top = element
+        ? element.getBoundingClientRect().top - pane.getBoundingClientRect().top + pane.scrollTop
+        : topAtOffset(anchorsOf(pane), changes[target].offset);
+      scrollPane(pane, top - pane.clientHeight / 3);
+    });
+  };
+
+  const next = () => goTo(current + 1);
+  const previous = () => goTo(current === -1 ? changes.length - 1 : current - 1);
+
+  // n/] and p/[ step through changes while the viewer has focus
+  const onKeyDown = (e) => {
+    if (isTyping(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'n' || e.key === ']') {
+      e.preventDefault();
+      next();
+    } else if (e.key === 'p' || e.key === '[') {
+      e.preventDefault();
+      previous();
+    }
+  };
+
+  return { current, goTo, next, previous, paneProps, onKeyDown };
+};
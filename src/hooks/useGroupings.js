@@ -0,0 +1,33 @@
+import { useStoredRecord } from './useStoredRecord';
+import { GROUPING_STORE } from '../utils/idb';
+import { assignRows, planMerge, splitRows, resetRows, resetMoves, mergeGroupings } from '../utils/sectionGroups';
+
+const NO_ENTRIES = {};
+
+// Rows of the current dataset moved between sections by hand, by row id.
+// `merge` and `reset` return the moves of saved section data they imply, for
+// useAnnotations and useReviews to apply.
+export const useGroupings = (datasetId) => {
+  const [entries, save] = useStoredRecord(GROUPING_STORE, datasetId, 'entries', NO_ENTRIES);
+
+  return {
+    entries,
+    // Each argument is a group of groupSections()
+    merge: (groups) => {
+      const { group, rows, moves } = planMerge(groups);
+      save(current => assignRows(current, rows, group));
+      return moves;
+    },
+    split: (rows) => save(current => splitRows(current, rows)),
+    reset: (group) => {
+      save(current => resetRows(current, group.rows));
+      return resetMoves(group);
+    },
+    // Merges entries from parseGroupingFile and returns how many rows changed
+    mergeFile: (imported) => {
+      const { changed } = mergeGroupings(entries, imported);
+      if (changed > 0) save(current => mergeGroupings(current, imported).entries);
+      return changed;
+    },
+  };
+};
@@ -0,0 +1,29 @@
+import { useStoredRecord } from './useStoredRecord';
+import { REVIEW_STORE } from '../utils/idb';
+import { mergeReviews } from '../utils/review';
+import { moveSectionEntries } from '../utils/sectionIds';
+
+const NO_ENTRIES = {};
+
+// Review status and assignee of the current dataset's sections by section id
+export const useReviews = (datasetId) => {
+  const [entries, save] = useStoredRecord(REVIEW_STORE, datasetId, 'entries', NO_ENTRIES);
+
+  return {
+    entries,
+    update: (id, patch) => save(current => ({
+      ...current,
+      [id]: { status: 'unreviewed', assignee: '', ...current[id], ...patch, updated: new Date().toISOString() },
+    })),
+    // Merges entries from parseReviewFile and returns how many sections changed
+    merge: (imported) => {
+      const { changed } = mergeReviews(entries, imported);
+      if (changed > 0) save(current => mergeReviews(current, imported).entries);
+      return changed;
+    },
+    // Follows sections regrouped by hand (see useGroupings)
+    move: (moves) => {
+      if (moves.length > 0) save(current => moveSectionEntries(current, moves, mergeReviews));
+    },
+  };
+};
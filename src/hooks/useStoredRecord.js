@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { getRecord, putRecord } from '../utils/idb';
+
+// One field of an IndexedDB record kept in state, e.g. a dataset's saved
+// annotations. Reads `empty` until the record for `key` has loaded; without
+// IndexedDB, saved values last for the session. `empty` should be a constant
+// so memos keyed on the value don't rerun while loading.
+//
+// `save` takes a function from the current value to the next one. Saves made
+// while the record is still loading wait for it, so they build on what's
+// stored rather than replacing it with `empty` plus one change.
+export const useStoredRecord = (storeName, key, field, empty) => {
+  const [state, setState] = useState({ key: null, value: empty });
+  const pendingRef = useRef({ key: null, updates: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const settle = (stored) => {
+      if (cancelled) return;
+      const pending = pendingRef.current.key === key ? pendingRef.current.updates : [];
+      pendingRef.current = { key: null, updates: [] };
+      const value = pending.reduce((current, update) => update(current), stored);
+      setState({ key, value });
+      if (pending.length > 0) {
+        putRecord(storeName, { key, [field]: value })
+          .catch(error => console.error(`Error saving ${storeName}:`, error));
+      }
+    };
+
+    getRecord(storeName, key)
+      .then(record => settle(record?.[field] ?? empty))
+      .catch(() => settle(empty));
+    return () => {
+      cancelled = true;
+    };
+  }, [storeName, key, field, empty]);
+
+  const loaded = state.key === key;
+  const value = loaded ? state.value : empty;
+
+  const save = (update) => {
+    if (!loaded) {
+      if (pendingRef.current.key !== key) pendingRef.current = { key, updates: [] };
+      pendingRef.current.updates.push(update);
+      return;
+    }
+    const next = update(state.value);
+    setState({ key, value: next });
+    putRecord(storeName, { key, [field]: next })
+      .catch(error => console.error(`Error saving ${storeName}:`, error));
+  };
+
+  return [value, save];
+};
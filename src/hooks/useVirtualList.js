@@ -0,0 +1,142 @@
+import { useState, useRef, useMemo, useEffect, useLayoutEffect, useCallback } from 'react';
+
+// A window-scrolled list that only renders the items near the viewport, so
+// the results stay quick however many sections a dataset has. Items are
+// measured once rendered (expanding a section changes its height) and
+// estimated until then; padding above and below the rendered items stands in
+// for the rest, so the scrollbar still spans the whole list.
+
+const ESTIMATED_HEIGHT = 80;
+const OVERSCAN = 800; // pixels rendered beyond each edge of the viewport
+
+// Index of the item at `y`, where offsets[i] is the top of item i and the
+// last offset is the bottom of the list
+const indexAt = (offsets, y) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= y) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// `keys` identify the items in order. Put `containerRef` on an element where
+// the first item starts and `measure(key)` on each rendered item's outermost
+// element; render items start..end-1 between paddingTop and paddingBottom.
+// `first` is the item at the top of the viewport.
+export const useVirtualList = (keys) => {
+  const containerRef = useRef(null);
+  const offsetsRef = useRef([0]);
+  const observerRef = useRef(null);
+  const keyOfElementRef = useRef(new WeakMap());
+  const measureRefs = useRef(new Map());
+  const elementsRef = useRef(new Map()); // rendered items, by key
+  const [heights, setHeights] = useState(() => new Map()); // measured, by key
+  const [range, setRange] = useState({ start: 0, end: 0, first: 0 });
+
+  const offsets = useMemo(() => {
+    const result = [0];
+    keys.forEach(key => result.push(result[result.length - 1] + (heights.get(key) ?? ESTIMATED_HEIGHT)));
+    return result;
+  }, [keys, heights]);
+
+  const update = useCallback(() => {
+    const container = containerRef.current;
+    const itemOffsets = offsetsRef.current;
+    if (!container || itemOffsets.length < 2) return;
+
+    const top = -container.getBoundingClientRect().top;
+    const start = indexAt(itemOffsets, top - OVERSCAN);
+    const end = indexAt(itemOffsets, top + window.innerHeight + OVERSCAN) + 1;
+    const first = indexAt(itemOffsets, Math.max(0, top));
+    setRange(prev => (prev.start === start && prev.end === end && prev.first === first ? prev : { start, end, first }));
+  }, []);
+
+  // Before paint, so a changed list never flashes its padding
+  useLayoutEffect(() => {
+    offsetsRef.current = offsets;
+    update();
+  }, [offsets, update]);
+
+  useEffect(() => {
+    let frame = null;
+    const onScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(update);
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+    };
+  }, [update]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  const observer = () => {
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver(entries => {
+        const measured = entries
+          .filter(entry => entry.target.isConnected)
+          .map(entry => [keyOfElementRef.current.get(entry.target), entry.target.getBoundingClientRect().height]);
+        setHeights(prev => {
+          const changed = measured.filter(([key, height]) => prev.get(key) !== height);
+          return changed.length === 0 ? prev : new Map([...prev, ...changed]);
+        });
+      });
+    }
+    return observerRef.current;
+  };
+
+  // One ref callback per key, so React doesn't re-attach it on every render
+  const measure = (key) => {
+    if (!measureRefs.current.has(key)) {
+      measureRefs.current.set(key, (element) => {
+        keyOfElementRef.current.set(element, key);
+        elementsRef.current.set(key, element);
+        observer().observe(element);
+        return () => {
+          observer().unobserve(element);
+          if (elementsRef.current.get(key) === element) elementsRef.current.delete(key);
+        };
+      });
+    }
+    return measureRefs.current.get(key);
+  };
+
+  // Scrolls item `index` to the top of the viewport: to its estimated offset
+  // first, then onto its element once that is rendered. The first item's
+  // offset is exact.
+  const scrollToIndex = (index) => {
+    const container = containerRef.current;
+    if (!container) return;
+    const target = Math.max(0, Math.min(index, keys.length - 1));
+    window.scrollTo({ top: window.scrollY + container.getBoundingClientRect().top + offsets[target] });
+
+    const key = keys[target];
+    let frames = 0;
+    const settle = () => {
+      const element = elementsRef.current.get(key);
+      if (element) element.scrollIntoView({ block: 'start' });
+      else if (++frames < 10) requestAnimationFrame(settle);
+    };
+    if (target > 0) requestAnimationFrame(settle);
+  };
+
+  const end = Math.min(range.end, keys.length);
+  const start = Math.min(range.start, end);
+  return {
+    containerRef,
+    measure,
+    start,
+    end,
+    first: Math.min(range.first, Math.max(0, keys.length - 1)),
+    paddingTop: offsets[start],
+    paddingBottom: offsets[keys.length] - offsets[end],
+    scrollToIndex,
+  };
+};
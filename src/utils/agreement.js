@@ -0,0 +1,100 @@
+// Conference outcome of a section, read from the Joint Explanatory Statement
+// sentences in agreement_phrases ("The House bill contained no similar
+// provision.", "The agreement includes the Senate provision with a clarifying
+// amendment.", "The Senate recedes.").
+
+export const CONFERENCE_OUTCOMES = [
+  { id: 'house', label: 'House provision adopted', style: 'bg-blue-100 text-blue-800' },
+  { id: 'senate', label: 'Senate provision adopted', style: 'bg-purple-100 text-purple-800' },
+  { id: 'adopted', label: 'Provision adopted', style: 'bg-green-100 text-green-800' },
+  { id: 'amended', label: 'Adopted with amendment', style: 'bg-yellow-100 text-yellow-800' },
+  { id: 'house-recedes', label: 'House recedes', style: 'bg-purple-100 text-purple-800' },
+  { id: 'senate-recedes', label: 'Senate recedes', style: 'bg-blue-100 text-blue-800' },
+  { id: 'dropped', label: 'Dropped', style: 'bg-red-100 text-red-800' },
+  { id: 'no-similar', label: 'No similar provision', style: 'bg-gray-100 text-gray-800' },
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+// agreement_phrases arrives as a Python list literal, e.g.
+// "['The agreement includes the House provision, amended to require: ...']".
+// Phrases may contain commas and the other kind of quote, and a few values
+// end in a curly quote instead of a straight one.
+export const parseAgreementPhrases = (value) => {
+  if (Array.isArray(value)) return value.map(String).filter(s => s.trim());
+  if (typeof value !== 'string') return [];
+
+  const text = value.trim();
+  if (!text.startsWith('[')) return text ? [text] : [];
+
+  const phrases = [];
+  let i = 1;
+  while (i < text.length) {
+    const quote = text[i];
+    if (quote !== "'" && quote !== '"') {
+      i++; // separators and the closing bracket
+      continue;
+    }
+
+    let phrase = '';
+    i++;
+    while (i < text.length && text[i] !== quote) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        phrase += ESCAPES[text[i + 1]] ?? text[i + 1];
+        i += 2;
+      } else {
+        phrase += text[i++];
+      }
+    }
+    if (i >= text.length) phrase = phrase.replace(/[’'"]?\s*\]?\s*$/, '');
+    phrases.push(phrase.replace(/\s+/g, ' ').trim());
+    i++;
+  }
+  return phrases.filter(Boolean);
+};
+
+const AGREEMENT = /\b(?:conference\s+)?agreement\s+(does\s+not\s+include|includes?)\b([^.]*)/i;
+const RECEDES = /\b(House|Senate)\s+recedes\b([^.]*)/i;
+const AMENDED = /\b(amendments?|amended|changes)\b/i;
+const NO_SIMILAR = /\bcontained\s+no\s+similar\s+provision/i;
+
+// Outcome id for a list of phrases, or null when none of them says what
+// conference did
+export const conferenceOutcome = (phrases) => {
+  const text = phrases.join(' ');
+
+  const agreement = text.match(AGREEMENT);
+  if (agreement) {
+    const [, verb, object] = agreement;
+    if (/not/i.test(verb)) return 'dropped';
+    if (AMENDED.test(object)) return 'amended';
+    const house = /\bHouse\b/.test(object);
+    const senate = /\bSenate\b/.test(object);
+    if (house && !senate) return 'house';
+    if (senate && !house) return 'senate';
+    return 'adopted';
+  }
+
+  const recedes = text.match(RECEDES);
+  if (recedes) {
+    const [, chamber, rest] = recedes;
+    if (AMENDED.test(rest)) return 'amended';
+    return chamber.toLowerCase() === 'house' ? 'house-recedes' : 'senate-recedes';
+  }
+
+  if (NO_SIMILAR.test(text)) return 'no-similar';
+  return null;
+};
+
+export const getConferenceOutcome = (id) => CONFERENCE_OUTCOMES.find(outcome => outcome.id === id);
+
+const rowCache = new WeakMap();
+
+// Parsed phrases and outcome of a row, computed once per row
+export const rowAgreement = (row) => {
+  if (!rowCache.has(row)) {
+    const phrases = parseAgreementPhrases(row.agreement_phrases);
+    rowCache.set(row, { phrases, outcome: conferenceOutcome(phrases) });
+  }
+  return rowCache.get(row);
+};
@@ -0,0 +1,166 @@
+import { ENR_COLUMN } from './columns';
+import { readTeamFile, mergeEntries, laterTimestamp, asString } from './teamFile';
+
+// Analyst annotations on a section: markdown notes, free-form tags and
+// highlights on spans of the enrolled or source text. They are saved per
+// dataset under the section's id (see sectionIds.js) and travel between
+// colleagues as a JSON file.
+
+export const EMPTY_ANNOTATION = { notes: '', tags: [], highlights: [] };
+
+export const isEmptyAnnotation = (annotation) => !annotation || (
+  !annotation.notes.trim() && annotation.tags.length === 0 && annotation.highlights.length === 0
+);
+
+// Tags compare case-insensitively; the first spelling is kept
+export const normalizeTag = (tag) => String(tag).replace(/\s+/g, ' ').trim();
+
+export const mergeTags = (tags, more) => {
+  const seen = new Set(tags.map(tag => tag.toLowerCase()));
+  const merged = [...tags];
+  more.map(normalizeTag).filter(Boolean).forEach(tag => {
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      merged.push(tag);
+    }
+  });
+  return merged;
+};
+
+// Every tag in use, for suggestions
+export const allTags = (entries) => mergeTags([], Object.values(entries).flatMap(entry => entry.tags))
+  .sort((a, b) => a.localeCompare(b));
+
+// ---------- Highlights ----------
+
+// A highlight targets the enrolled text ('enr') or one version's source text
+// ('source' plus the version's source_bill_type). It keeps the quoted text as
+// well as its offsets so it can be found again if the text shifts.
+export const highlightTargets = (rows) => {
+  const targets = [];
+  const finalRow = rows.find(row => row[ENR_COLUMN]);
+  if (finalRow) targets.push({ target: 'enr', version: null, text: finalRow[ENR_COLUMN] });
+  rows.forEach(row => {
+    if (row.source_full_section_text && !targets.some(t => t.target === 'source' && t.version === row.source_bill_type)) {
+      targets.push({ target: 'source', version: row.source_bill_type || null, text: row.source_full_section_text });
+    }
+  });
+  return targets;
+};
+
+export const sameTarget = (highlight, target) => (
+  highlight.target === target.target && (highlight.version ?? null) === (target.version ?? null)
+);
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createHighlight = (target, text, start, end, comment = '') => ({
+  id: newId(),
+  target: target.target,
+  version: target.version ?? null,
+  start,
+  end,
+  quote: text.slice(start, end),
+  comment: comment.trim(),
+});
+
+// Current { start, end } of a highlight in `text`, or null when the quoted
+// text is gone. Prefers the saved offsets, then the occurrence nearest them.
+export const locateHighlight = (text, highlight) => {
+  if (!text || !highlight.quote) return null;
+  if (text.slice(highlight.start, highlight.end) === highlight.quote) {
+    return { start: highlight.start, end: highlight.end };
+  }
+
+  let best = null;
+  let index = text.indexOf(highlight.quote);
+  while (index !== -1) {
+    if (best === null || Math.abs(index - highlight.start) < Math.abs(best - highlight.start)) best = index;
+    index = text.indexOf(highlight.quote, index + 1);
+  }
+  return best === null ? null : { start: best, end: best + highlight.quote.length };
+};
+
+// `text` split into plain and highlighted segments; overlapping highlights
+// are merged into one segment carrying all of them
+export const highlightSegments = (text, highlights) => {
+  const ranges = highlights
+    .map(highlight => ({ highlight, range: locateHighlight(text, highlight) }))
+    .filter(({ range }) => range)
+    .sort((a, b) => a.range.start - b.range.start);
+
+  const segments = [];
+  let position = 0;
+  let current = null;
+  ranges.forEach(({ highlight, range }) => {
+    if (current && range.start < current.end) {
+      current.end = Math.max(current.end, range.end);
+      current.highlights.push(highlight);
+      return;
+    }
+    if (current) segments.push(current);
+    current = { start: range.start, end: range.end, highlights: [highlight] };
+  });
+  if (current) segments.push(current);
+
+  const result = [];
+  segments.forEach(segment => {
+    if (segment.start > position) result.push({ text: text.slice(position, segment.start), highlights: [] });
+    result.push({ text: text.slice(segment.start, segment.end), highlights: segment.highlights });
+    position = segment.end;
+  });
+  if (position < text.length) result.push({ text: text.slice(position), highlights: [] });
+  return result;
+};
+
+// ---------- Import / export ----------
+
+const cleanHighlight = (highlight) => ({
+  id: asString(highlight.id) || newId(),
+  target: highlight.target === 'source' ? 'source' : 'enr',
+  version: highlight.target === 'source' ? asString(highlight.version) || null : null,
+  start: Number(highlight.start) || 0,
+  end: Number(highlight.end) || 0,
+  quote: asString(highlight.quote),
+  comment: asString(highlight.comment),
+});
+
+const cleanAnnotation = (annotation) => ({
+  notes: asString(annotation.notes),
+  tags: mergeTags([], Array.isArray(annotation.tags) ? annotation.tags.filter(tag => typeof tag === 'string') : []),
+  highlights: Array.isArray(annotation.highlights)
+    ? annotation.highlights.filter(h => h && typeof h === 'object').map(cleanHighlight).filter(h => h.quote)
+    : [],
+  updated: asString(annotation.updated) || null,
+});
+
+// Entries from an exported file (see teamFile.js); throws on anything that isn't one
+export const parseAnnotationFile = (text) => readTeamFile(text, 'annotations', annotation => {
+  const cleaned = cleanAnnotation(annotation);
+  return isEmptyAnnotation(cleaned) ? null : cleaned;
+});
+
+const sameHighlight = (a, b) => a.id === b.id || (
+  a.target === b.target && a.version === b.version && a.start === b.start && a.quote === b.quote
+);
+
+const combineAnnotations = (existing, incoming) => {
+  const notes = !incoming.notes.trim() || existing.notes.includes(incoming.notes.trim())
+    ? existing.notes
+    : [existing.notes.trim(), incoming.notes.trim()].filter(Boolean).join('\n\n---\n\n');
+  const tags = mergeTags(existing.tags, incoming.tags);
+  const highlights = [
+    ...existing.highlights,
+    ...incoming.highlights.filter(highlight => !existing.highlights.some(h => sameHighlight(h, highlight))),
+  ];
+  if (notes === existing.notes && tags.length === existing.tags.length && highlights.length === existing.highlights.length) {
+    return existing;
+  }
+  return { notes, tags, highlights, updated: laterTimestamp(existing.updated, incoming.updated) };
+};
+
+// Imported entries merged into ours: tags and highlights are combined, and a
+// note that differs from ours is appended below it rather than replacing it.
+// The merged entry keeps the later of the two update times, so importing an
+// old file doesn't make its annotations look newer than our edits.
+export const mergeAnnotations = (entries, imported) => mergeEntries(entries, imported, combineAnnotations);
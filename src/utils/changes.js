@@ -0,0 +1,55 @@
+// Changes in a diff: runs of removed/added parts between unchanged text. A
+// replacement ("shall" -> "may") is one change, not two parts.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export const countWords = (text) => (text.match(WORD_PATTERN) || []).length;
+
+const changeKind = (change) => {
+  if (change.removed && change.added) return 'replacement';
+  return change.added ? 'insertion' : 'deletion';
+};
+
+// Group jsdiff-style parts into changes. Also returns, for every part, its
+// offset in the final text and the change it belongs to (-1 if unchanged);
+// views use these offsets to line panes up and to jump to a change.
+export const groupChanges = (parts) => {
+  const changes = [];
+  const partInfo = [];
+  let offset = 0;
+  let open = null;
+
+  parts.forEach(part => {
+    if (!part.added && !part.removed) {
+      open = null;
+      partInfo.push({ offset, change: -1 });
+      offset += part.value.length;
+      return;
+    }
+    if (!open) {
+      open = { id: changes.length, offset, removed: '', added: '' };
+      changes.push(open);
+    }
+    partInfo.push({ offset, change: open.id });
+    if (part.added) {
+      open.added += part.value;
+      offset += part.value.length;
+    } else {
+      open.removed += part.value;
+    }
+  });
+
+  changes.forEach(change => {
+    change.kind = changeKind(change);
+    change.wordsAdded = countWords(change.added);
+    change.wordsRemoved = countWords(change.removed);
+  });
+
+  return { changes, partInfo, length: offset };
+};
+
+export const summarizeChanges = (changes) => ({
+  count: changes.length,
+  wordsAdded: changes.reduce((sum, change) => sum + change.wordsAdded, 0),
+  wordsRemoved: changes.reduce((sum, change) => sum + change.wordsRemoved, 0),
+});
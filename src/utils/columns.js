@@ -0,0 +1,5 @@
+// Canonical names for columns whose header differs between NDAA datasets
+// (e.g. "H.R. 5009 ENR Text" for FY2025). Rows are renamed to these on load
+// using the dataset registry in datasets.js.
+export const ENR_COLUMN = 'enr_text';
+export const ENR_CHAR_COUNT_COLUMN = 'enr_text_char_count';
@@ -0,0 +1,112 @@
+import { ENR_COLUMN } from './columns';
+import { DATASETS, normalizeRows } from './datasets';
+import { loadWorkbook } from './workbookLoader';
+
+// Matching the same provision across fiscal years. Recurring provisions keep
+// their titles ("Authorization of appropriations", "Extension of ...") but
+// often move to a different section number, so titles carry most weight and
+// a matching section key only breaks ties.
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Header without its "Sec. 123—" prefix and without years, which change every NDAA
+export const titleTokens = (header) => new Set(
+  String(header || '')
+    .toLowerCase()
+    .replace(/^\s*sec(tion)?\.?\s*\d+[a-z]?\s*[—–-]\s*/, '')
+    .replace(/\b(fiscal year )?(19|20)\d{2}\b/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+);
+
+// Dice coefficient of the two token sets
+export const titleSimilarity = (a, b) => {
+  const tokensA = a instanceof Set ? a : titleTokens(a);
+  const tokensB = b instanceof Set ? b : titleTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+  return (2 * shared) / (tokensA.size + tokensB.size);
+};
+
+const MIN_SCORE = 0.35;
+
+// Candidate rows in `otherRows` for the provision represented by `row`,
+// best first, each { row, score, sameSection }. Only rows with enrolled text
+// are considered and each header appears once.
+export const matchProvision = (row, otherRows, limit = 5) => {
+  const tokens = titleTokens(row.header);
+  const seen = new Set();
+  const candidates = [];
+
+  otherRows.forEach(other => {
+    if (!other[ENR_COLUMN] || seen.has(other.header)) return;
+    seen.add(other.header);
+
+    const similarity = titleSimilarity(tokens, titleTokens(other.header));
+    const sameSection = !!row.sec_key && String(row.sec_key) === String(other.sec_key);
+    const score = similarity * 0.85 + (sameSection ? 0.15 : 0);
+    if (score >= MIN_SCORE) candidates.push({ row: other, score, sameSection });
+  });
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Rows of another registry dataset, loaded once per session (and cached in
+// IndexedDB by the workbook loader)
+const rowsByDataset = new Map();
+
+export const loadComparisonRows = (dataset) => {
+  if (!rowsByDataset.has(dataset.id)) {
+    const promise = loadWorkbook(dataset.url)
+      .then(({ rows }) => normalizeRows(dataset, rows))
+      .catch(error => {
+        rowsByDataset.delete(dataset.id); // retry on next request
+        throw error;
+      });
+    rowsByDataset.set(dataset.id, promise);
+  }
+  return rowsByDataset.get(dataset.id);
+};
+
+// "FY2025 H.R. 5009"
+export const enactedLabel = (dataset) => `FY${dataset.fiscalYear} ${dataset.enrolledBill}`;
+
+// Fiscal year a file name mentions ("FY24", "fy_2024"), or null
+export const fiscalYearFromName = (name) => {
+  const match = String(name || '').match(/fy[\s_-]*(\d{4}|\d{2})(?!\d)/i);
+  if (!match) return null;
+  return match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+};
+
+// What a provision can be compared with: other fiscal years' published
+// workbooks, and the dataset file the user last opened. While that file is
+// the one shown, the selected year's published workbook stands in for it.
+// Each source is { id, label, fiscalYear (null if unknown), load() -> rows };
+// the user's file comes first, then the nearest years.
+export const comparisonSources = (dataset, userFile, showingUserFile) => {
+  const published = (entry, label = enactedLabel(entry)) => ({
+    id: entry.id,
+    label,
+    fiscalYear: entry.fiscalYear,
+    load: () => loadComparisonRows(entry),
+  });
+
+  const sources = DATASETS.filter(entry => entry.id !== dataset.id).map(entry => published(entry));
+  if (showingUserFile) {
+    sources.push(published(dataset, `${enactedLabel(dataset)} (published)`));
+  } else if (userFile) {
+    sources.push({
+      id: `file:${userFile.name}`,
+      label: userFile.name,
+      fiscalYear: fiscalYearFromName(userFile.name),
+      load: () => Promise.resolve(userFile.rows),
+    });
+  }
+
+  const distance = (source) => (source.fiscalYear === null ? -1 : Math.abs(source.fiscalYear - dataset.fiscalYear));
+  return sources.sort((a, b) => distance(a) - distance(b) || (a.fiscalYear ?? 0) - (b.fiscalYear ?? 0));
+};
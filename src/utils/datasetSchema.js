@@ -0,0 +1,112 @@
+import { ENR_COLUMN, ENR_CHAR_COUNT_COLUMN } from './columns';
+
+// Columns the interface reads from a bill references dataset. Files exported
+// by staff often rename them, so each carries aliases used to suggest a
+// mapping from the file's own headers.
+export const EXPECTED_COLUMNS = [
+  { key: 'header', label: 'JES section header', required: true, aliases: ['title', 'section title', 'jes header'] },
+  { key: 'full_text', label: 'Joint Explanatory Statement text', aliases: ['jes text', 'jes', 'explanatory statement', 'text'] },
+  { key: 'referenced_section_number', label: 'Referenced section number', aliases: ['section number', 'section', 'sec'] },
+  { key: 'sec_key', label: 'Section key', aliases: ['key', 'section key'] },
+  { key: 'source_bill_type', label: 'Source bill type', aliases: ['bill type', 'chamber', 'source type'] },
+  { key: 'section_header', label: 'Source section header', aliases: ['source header'] },
+  { key: 'source_full_section_text', label: 'Source section text', aliases: ['source text', 'section text', 'source section text'] },
+  { key: ENR_COLUMN, label: 'Enrolled bill text', aliases: ['enr text', 'enrolled text', 'enrolled bill text', 'final text'], pattern: /enr.*text$/ },
+  { key: 'reference_complexity', label: 'Reference complexity', aliases: ['complexity'] },
+  { key: 'agreement_phrases', label: 'Agreement phrases', aliases: ['agreement', 'conference agreement'] },
+  { key: 'bill_references', label: 'Bill references', aliases: ['references'] },
+  { key: 'bill_reference', label: 'Bill reference', aliases: [] },
+  { key: 'all_references_found', label: 'References found', aliases: [] },
+  { key: 'section_found_in_source', label: 'Section found in source', aliases: ['found in source'] },
+  { key: 'source_full_section_text_char_count', label: 'Source text character count', aliases: ['source char count'] },
+  { key: ENR_CHAR_COUNT_COLUMN, label: 'Enrolled text character count', aliases: ['enr char count'], pattern: /enr.*char/ },
+];
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Best header in `headers` for an expected column: exact name, then label and
+// aliases, then the column's pattern (e.g. any "H.R. NNNN ENR Text")
+const suggestHeader = (column, headers, taken) => {
+  const available = headers.filter(header => !taken.has(header));
+  const byNormalized = new Map(available.map(header => [normalizeHeader(header), header]));
+
+  const candidates = [column.key, column.label, ...column.aliases].map(normalizeHeader);
+  for (const candidate of candidates) {
+    if (byNormalized.has(candidate)) return byNormalized.get(candidate);
+  }
+  if (column.pattern) {
+    const match = available.find(header => column.pattern.test(String(header).toLowerCase()));
+    if (match) return match;
+  }
+  return '';
+};
+
+// { [expected key]: file header or '' } for the given file headers
+export const suggestColumnMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+
+  // Exact names first so an alias can't steal a header another column owns
+  EXPECTED_COLUMNS.forEach(column => {
+    if (headers.includes(column.key)) {
+      mapping[column.key] = column.key;
+      taken.add(column.key);
+    }
+  });
+  EXPECTED_COLUMNS.forEach(column => {
+    if (mapping[column.key]) return;
+    const header = suggestHeader(column, headers, taken);
+    mapping[column.key] = header;
+    if (header) taken.add(header);
+  });
+
+  return mapping;
+};
+
+// True when the file can be loaded without asking the user: every required
+// column is there under its own name, and every column the suggestion maps
+// is one. Anything else, such as a guess from an alias, is confirmed in the
+// mapping dialog. Optional columns the file lacks don't matter.
+export const matchesSchema = (headers) => {
+  const mapping = suggestColumnMapping(headers);
+  return missingRequiredColumns(mapping).length === 0
+    && EXPECTED_COLUMNS.every(column => !mapping[column.key] || mapping[column.key] === column.key);
+};
+
+export const missingRequiredColumns = (mapping) => EXPECTED_COLUMNS
+  .filter(column => column.required && !mapping[column.key])
+  .map(column => column.label);
+
+// How likely a sheet is to hold the dataset: matched expected columns first,
+// row count as the tie-breaker
+export const scoreSheet = ({ headers, rows }) => {
+  const mapping = suggestColumnMapping(headers);
+  const matched = EXPECTED_COLUMNS.filter(column => mapping[column.key]).length;
+  return matched * 100000 + Math.min(rows.length, 99999);
+};
+
+export const detectDataSheet = (sheets) => {
+  if (sheets.length === 0) return null;
+  return sheets.reduce((best, sheet) => (scoreSheet(sheet) > scoreSheet(best) ? sheet : best));
+};
+
+// Copy rows renaming mapped file headers to the expected column names. Columns
+// that aren't mapped are kept as-is so nothing in the file is lost.
+export const applyColumnMapping = (rows, mapping) => {
+  const renames = Object.entries(mapping).filter(([key, header]) => header && header !== key);
+  if (renames.length === 0) return rows;
+
+  const targets = new Set(renames.map(([key]) => key));
+  const moved = [...new Set(renames.map(([, header]) => header))].filter(header => !targets.has(header));
+
+  return rows.map(row => {
+    const mapped = { ...row };
+    renames.forEach(([key, header]) => {
+      mapped[key] = row[header];
+    });
+    moved.forEach(header => {
+      delete mapped[header];
+    });
+    return mapped;
+  });
+};
@@ -0,0 +1,59 @@
+import { ENR_COLUMN, ENR_CHAR_COUNT_COLUMN } from './columns';
+import { applyColumnMapping } from './datasetSchema';
+
+// Registry of NDAA datasets the interface can show. Each entry describes the
+// enacted bill, the chamber versions its source text came from (keyed by the
+// `source_bill_type` codes in the workbook) and the workbook headers for
+// columns that are named after the enrolled bill.
+//
+// To add a fiscal year, publish its workbook in public/ and add an entry.
+export const DATASETS = [
+  {
+    id: 'fy2025',
+    fiscalYear: 2025,
+    title: 'Servicemember Quality of Life Improvement and National Defense Authorization Act for Fiscal Year 2025',
+    enrolledBill: 'H.R. 5009',
+    url: './NDAA_Bill_References_V5_with_text.xlsx',
+    sourceTypes: {
+      HOUSE_RDS: { chamber: 'house', label: 'House', bill: 'H.R. 8070' },
+      SENATE_RS: { chamber: 'senate', label: 'Senate', bill: 'S. 4638' },
+      AMENDMENT: { chamber: 'amendment', label: 'Amendment' },
+    },
+    columns: {
+      [ENR_COLUMN]: 'H.R. 5009 ENR Text',
+      [ENR_CHAR_COUNT_COLUMN]: 'HR_5009_ENR_Text_char_count',
+    },
+  },
+];
+
+// Most recent fiscal year first
+export const DEFAULT_DATASET_ID = [...DATASETS].sort((a, b) => b.fiscalYear - a.fiscalYear)[0].id;
+
+export const getDataset = (id) => DATASETS.find(dataset => dataset.id === id) || getDataset(DEFAULT_DATASET_ID);
+
+export const datasetFileName = (dataset) => dataset.url.split('/').pop();
+
+export const datasetLabel = (dataset) => `FY${dataset.fiscalYear} NDAA (${dataset.enrolledBill})`;
+
+// "House", "Senate", ... for a source_bill_type code; unknown codes pass through
+export const sourceLabel = (dataset, sourceType) => dataset.sourceTypes[sourceType]?.label || sourceType;
+
+export const versionLabel = (dataset, sourceType) => {
+  const known = dataset.sourceTypes[sourceType];
+  return known ? `${known.label} Version` : sourceType;
+};
+
+export const chamberOf = (dataset, sourceType) => dataset.sourceTypes[sourceType]?.chamber || null;
+
+export const finalLabel = (dataset) => `${dataset.enrolledBill} Final`;
+
+export const enrolledTextLabel = (dataset) => `${dataset.enrolledBill} Enrolled Bill Text`;
+
+// Headers as they'd read after renaming this dataset's bill-specific columns
+export const canonicalHeaders = (dataset, headers) => {
+  const renames = Object.fromEntries(Object.entries(dataset.columns).map(([key, header]) => [header, key]));
+  return headers.map(header => renames[header] || header);
+};
+
+// Rename this dataset's bill-specific columns to their canonical names
+export const normalizeRows = (dataset, rows) => applyColumnMapping(rows, dataset.columns);
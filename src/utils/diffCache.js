@@ -0,0 +1,25 @@
+// The diff functions are pure and slow on long sections, so their results
+// are kept by argument: expanding a section again, or re-opening its diff
+// tool or popup, reuses the earlier result instead of diffing again. Texts
+// are part of the key, so a changed workbook never gets a stale diff, and
+// only the most recent results are kept. Callers must not change a result.
+
+const DEFAULT_SIZE = 100;
+
+export const memoizeDiff = (compute, size = DEFAULT_SIZE) => {
+  const cache = new Map();
+  return (...args) => {
+    const key = JSON.stringify(args);
+    if (cache.has(key)) {
+      // Re-inserted so the least recently used result is dropped first
+      const result = cache.get(key);
+      cache.delete(key);
+      cache.set(key, result);
+      return result;
+    }
+    const result = compute(...args);
+    cache.set(key, result);
+    if (cache.size > size) cache.delete(cache.keys().next().value);
+    return result;
+  };
+};
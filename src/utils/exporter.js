@@ -0,0 +1,131 @@
+import { ENR_COLUMN, ENR_CHAR_COUNT_COLUMN } from './columns';
+import { sourceLabel } from './datasets';
+import { rowAgreement, getConferenceOutcome } from './agreement';
+import { similarityBand, getSimilarityBand, charDelta, lengthChange, mostChangedRow } from './similarity';
+import { numberedTitle, titleLabel } from './stats';
+import { reviewStatusOf, getReviewStatus } from './review';
+import { sectionReferences, referenceLabel } from './references';
+import { downloadFile } from './download';
+
+// Writing the current result set to a file. Records are built per version
+// ('versions') or per section ('sections'); a section record takes the first
+// version's columns, lists every version's source type, and reports the
+// similarity of the version that changed most, as the results table does.
+
+export const EXPORT_FORMATS = [
+  { id: 'xlsx', label: 'Excel (.xlsx)' },
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+];
+
+export const EXPORT_LAYOUTS = [
+  { id: 'sections', label: 'One row per section' },
+  { id: 'versions', label: 'One row per version' },
+];
+
+const score = (row, context) => context.scores?.get(row);
+const annotation = (row, context) => context.annotationOf?.(row);
+const review = (row, context) => context.reviewOf?.(row);
+
+// `value(row, context, rows)` gets the rows of the record; `changed` columns
+// are read from its most changed version
+export const EXPORT_COLUMNS = [
+  { key: 'section', label: 'Section', value: row => row.referenced_section_number },
+  // The enrolled section's title, as in the outline; a chamber's section
+  // number can sit in another title
+  { key: 'title', label: 'Title', value: (row, context, rows) => {
+    const title = numberedTitle(context.groupOf?.(row)?.rows || rows);
+    return title === null ? '' : titleLabel(title);
+  } },
+  { key: 'header', label: 'Header', value: row => row.header },
+  { key: 'source_type', label: 'Source type', value: (row, context, rows) => (
+    [...new Set(rows.map(version => sourceLabel(context.dataset, version.source_bill_type)))].join(', ')
+  ) },
+  { key: 'outcome', label: 'Conference outcome', value: row => {
+    const { outcome } = rowAgreement(row);
+    return outcome ? getConferenceOutcome(outcome).label : '';
+  } },
+  { key: 'agreement_phrases', label: 'Agreement phrases', value: row => rowAgreement(row).phrases.join('\n') },
+  { key: 'similarity', label: 'Similarity %', changed: true, value: (row, context) => {
+    const value = score(row, context);
+    return value === null || value === undefined ? '' : Math.round(value * 100);
+  } },
+  { key: 'change', label: 'Change', changed: true, value: (row, context) => {
+    const band = similarityBand(row, score(row, context));
+    return band ? getSimilarityBand(band).label : '';
+  } },
+  { key: 'char_delta', label: 'Length change (chars)', changed: true, value: row => charDelta(row) ?? '' },
+  { key: 'length_change', label: 'Length change %', changed: true, value: row => lengthChange(row) ?? '' },
+  { key: 'reference_complexity', label: 'Reference complexity', value: row => row.reference_complexity },
+  { key: 'references', label: 'References', value: (row, context, rows) => (
+    sectionReferences(rows).map(ref => referenceLabel(ref.chamber, ref.section)).join(', ')
+  ) },
+  { key: 'review_status', label: 'Review status', value: (row, context) => getReviewStatus(reviewStatusOf(review(row, context))).label },
+  { key: 'assignee', label: 'Assignee', value: (row, context) => review(row, context)?.assignee },
+  { key: 'review_updated', label: 'Review updated', value: (row, context) => review(row, context)?.updated },
+  { key: 'tags', label: 'Tags', value: (row, context) => annotation(row, context)?.tags.join(', ') },
+  { key: 'notes', label: 'Notes', value: (row, context) => annotation(row, context)?.notes },
+  { key: 'word_count', label: 'Words', value: row => row.word_count },
+  { key: 'source_chars', label: 'Source characters', value: row => row.source_full_section_text_char_count },
+  { key: 'enrolled_chars', label: 'Enrolled characters', value: row => row[ENR_CHAR_COUNT_COLUMN] },
+  { key: 'source_text', label: 'Source text', value: row => row.source_full_section_text, long: true },
+  { key: 'enrolled_text', label: 'Enrolled text', value: row => row[ENR_COLUMN], long: true },
+  { key: 'jes_text', label: 'Joint Explanatory Statement', value: row => row.full_text, long: true },
+];
+
+// Full texts make files large, so they're opt-in
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(column => !column.long).map(column => column.key);
+
+const buildRecord = (rows, columns, context) => {
+  const changed = (context.scores && mostChangedRow(rows, context.scores)) || rows[0];
+  return Object.fromEntries(columns.map(column => {
+    const value = column.value(column.changed ? changed : rows[0], context, rows);
+    return [column.key, value ?? ''];
+  }));
+};
+
+// `groups` as shown in the results table, each { key, rows }
+export const buildRecords = (groups, { layout, columnKeys, context }) => {
+  const columns = EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+  const recordRows = layout === 'versions'
+    ? groups.flatMap(group => group.rows.map(row => [row]))
+    : groups.map(group => group.rows);
+  return { columns, records: recordRows.map(rows => buildRecord(rows, columns, context)) };
+};
+
+// Excel refuses cells longer than this
+const XLSX_CELL_LIMIT = 32767;
+
+const toSheet = (XLSX, columns, records, truncate) => XLSX.utils.aoa_to_sheet([
+  columns.map(column => column.label),
+  ...records.map(record => columns.map(column => {
+    const value = record[column.key];
+    return truncate && typeof value === 'string' && value.length > XLSX_CELL_LIMIT
+      ? `${value.slice(0, XLSX_CELL_LIMIT - 1)}…`
+      : value;
+  })),
+]);
+
+export const exportRecords = async ({ format, columns, records, fileName }) => {
+  if (format === 'json') {
+    downloadFile(JSON.stringify(records, null, 2), `${fileName}.json`, 'application/json');
+    return;
+  }
+
+  // xlsx is only needed here, so it stays out of the main bundle
+  const XLSX = await import('xlsx');
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    const csv = XLSX.utils.sheet_to_csv(toSheet(XLSX, columns, records, false));
+    downloadFile(`\ufeff${csv}`, `${fileName}.csv`, 'text/csv;charset=utf-8');
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, toSheet(XLSX, columns, records, true), 'Results');
+  const bytes = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadFile(
+    new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    `${fileName}.xlsx`
+  );
+};
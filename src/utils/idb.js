@@ -0,0 +1,57 @@
+// Minimal promise wrappers around IndexedDB for the workbook cache and the
+// user's saved selections, annotations, reviews and section groupings
+
+const DB_NAME = 'ndaa-interface';
+const DB_VERSION = 5;
+export const WORKBOOK_STORE = 'workbooks';
+export const BASKET_STORE = 'baskets'; // briefing book selections, one record per dataset
+export const ANNOTATION_STORE = 'annotations'; // notes, tags and highlights, one record per dataset
+export const REVIEW_STORE = 'reviews'; // review status and assignees, one record per dataset
+export const GROUPING_STORE = 'groupings'; // rows moved between sections by hand, one record per dataset
+const STORES = [WORKBOOK_STORE, BASKET_STORE, ANNOTATION_STORE, REVIEW_STORE, GROUPING_STORE];
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      STORES.forEach(name => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'key' });
+        }
+      });
+    };
+    dbPromise = requestToPromise(request).catch(error => {
+      dbPromise = null; // allow a retry on the next call
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+export const getRecord = async (storeName, key) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+};
+
+export const putRecord = async (storeName, record) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  transaction.objectStore(storeName).put(record);
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,77 @@
+// Small markdown subset for annotation notes: headings, paragraphs, bullet
+// and numbered lists, fenced code, **bold**, *italic*, `code` and
+// [links](https://...). Parsed to a plain tree that the MarkdownText
+// component renders, so note text never reaches the page as HTML.
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|_[^_\s][^_]*_|`[^`]+`|\[[^\]]+\]\([^)\s]+\))/;
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+export const parseInline = (text) => text.split(INLINE_PATTERN).filter(Boolean).map(part => {
+  if (part.startsWith('**') && part.endsWith('**') && part.length > 4) return { type: 'strong', text: part.slice(2, -2) };
+  if (part.startsWith('`') && part.endsWith('`') && part.length > 2) return { type: 'code', text: part.slice(1, -1) };
+  if ((part.startsWith('*') && part.endsWith('*')) || (part.startsWith('_') && part.endsWith('_'))) {
+    if (part.length > 2) return { type: 'em', text: part.slice(1, -1) };
+  }
+  const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+  if (link) {
+    return SAFE_LINK.test(link[2]) ? { type: 'link', text: link[1], href: link[2] } : { type: 'text', text: link[1] };
+  }
+  return { type: 'text', text: part };
+});
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+export const parseMarkdown = (source) => {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', inlines: parseInline(paragraph.join(' ')) });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^```/.test(line.trim())) {
+      flushParagraph();
+      const code = [];
+      for (i++; i < lines.length && !/^```/.test(lines[i].trim()); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, inlines: parseInline(heading[2]) });
+      continue;
+    }
+
+    if (/^\s*(---+|\*\*\*+)\s*$/.test(line)) {
+      flushParagraph();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushParagraph();
+      const ordered = /\d/.test(item[1]);
+      const last = blocks[blocks.length - 1];
+      if (last?.type === 'list' && last.ordered === ordered && lines[i - 1]?.match(LIST_ITEM)) {
+        last.items.push(parseInline(item[2]));
+      } else {
+        blocks.push({ type: 'list', ordered, items: [parseInline(item[2])] });
+      }
+      continue;
+    }
+
+    if (!line.trim()) flushParagraph();
+    else paragraph.push(line.trim());
+  }
+  flushParagraph();
+  return blocks;
+};
@@ -0,0 +1,66 @@
+import { diffWords } from 'diff';
+import { formatText } from './text';
+import { ENR_COLUMN } from './columns';
+import { versionLabel } from './datasets';
+import { parseAgreementPhrases } from './agreement';
+import { memoizeDiff } from './diffCache';
+import { numberedTitle } from './stats';
+
+// What the diff view compares for a section: one source per bill version that
+// has text, the enrolled text, the conference agreement phrases, and for
+// redline documents the section numbers, enacted title and JES text
+export const diffInputsForRows = (dataset, rows) => {
+  const sources = new Map();
+  rows.forEach(row => {
+    if (row.source_full_section_text && !sources.has(row.source_bill_type)) {
+      sources.set(row.source_bill_type, {
+        text: row.source_full_section_text,
+        label: versionLabel(dataset, row.source_bill_type),
+      });
+    }
+  });
+
+  return {
+    sources: [...sources.values()],
+    finalText: rows.find(row => row[ENR_COLUMN])?.[ENR_COLUMN] || '',
+    agreementPhrases: parseAgreementPhrases(rows.find(row => row.agreement_phrases)?.agreement_phrases),
+    sectionNumbers: [...new Set(rows.map(row => row.referenced_section_number).filter(Boolean))],
+    titleNumber: numberedTitle(rows),
+    jesText: rows.find(row => row.full_text)?.full_text || '',
+  };
+};
+
+// Word diff of every source against the final text
+export const compareSources = memoizeDiff((sources, finalText) => {
+  const final = formatText(finalText);
+  const comparisons = sources.map(source => ({
+    label: source.label,
+    parts: diffWords(formatText(source.text), final),
+  }));
+  return { final, comparisons };
+});
+
+// Spans of the final text, marking the characters no source kept. Non-removed
+// parts concatenate back to the final text, so a running offset maps each
+// comparison onto final positions.
+export const unmatchedSpans = (comparisons, final) => {
+  const retained = new Uint8Array(final.length);
+  comparisons.forEach(({ parts }) => {
+    let offset = 0;
+    parts.forEach(part => {
+      if (part.removed) return;
+      if (!part.added) retained.fill(1, offset, offset + part.value.length);
+      offset += part.value.length;
+    });
+  });
+
+  const spans = [];
+  let start = 0;
+  for (let i = 1; i <= final.length; i++) {
+    if (i === final.length || retained[i] !== retained[start]) {
+      spans.push({ value: final.slice(start, i), added: !retained[start] });
+      start = i;
+    }
+  }
+  return spans;
+};
@@ -0,0 +1,195 @@
+import { numberedTitle, titleLabel } from './stats';
+
+// Structural outline of the bill: divisions, titles and subtitles with the
+// sections in each. A section's number places it in its title (501-599 are
+// title V) and division: Division A runs to section 1999 and each later
+// division starts a new thousand, so 2101 is in Division B and 4101 in
+// Division D. Names come from the headings the Joint Explanatory Statement
+// ends an entry with when the next one starts a new part:
+//
+//   DIVISION A—DEPARTMENT OF DEFENSE AUTHORIZATIONS
+//   TITLE I—PROCUREMENT
+//   Subtitle A—Authorization of Appropriations
+//
+// Subtitles only exist as headings, so sections are walked in statement
+// order (section_index). Sections without a number of their own, such as
+// legislative provisions not adopted, go under the heading they follow.
+
+const HEADING = /^(DIVISION|TITLE|Subtitle)\s+([A-Z]+)\s*—\s*(.*)$/;
+
+const LEVELS = { DIVISION: 'division', TITLE: 'title', Subtitle: 'subtitle' };
+
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// "MILITARY PERSONNEL POLICY" -> "Military Personnel Policy"; mixed case is kept
+const headingName = (name) => (/[a-z]/.test(name) ? name : name
+  .toLowerCase()
+  .replace(/[a-z][^\s-]*/g, (word, offset) => (
+    offset > 0 && SMALL_WORDS.has(word) ? word : word[0].toUpperCase() + word.slice(1)
+  )));
+
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+
+const fromRoman = (numeral) => [...numeral].reduce((total, char, i) => {
+  const value = ROMAN_VALUES[char];
+  return total + (value < (ROMAN_VALUES[numeral[i + 1]] || 0) ? -value : value);
+}, 0);
+
+// Structure headings at the end of an entry's text, as { level, id, name }.
+// A long heading wraps onto one more line; anything else ends the run.
+export const trailingHeadings = (text) => {
+  const lines = String(text ?? '').split('\n').map(line => line.trim()).filter(Boolean);
+  const headings = [];
+  let wrapped = null;
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const match = lines[i].match(HEADING);
+    if (match) {
+      const [, level, id, name] = match;
+      headings.unshift({ level: LEVELS[level], id, name: headingName([name, wrapped].filter(Boolean).join(' ').trim()) });
+      wrapped = null;
+    } else if (wrapped === null) {
+      wrapped = lines[i];
+    } else {
+      break;
+    }
+  }
+  return headings.filter(heading => heading.level !== 'title' || !Number.isNaN(fromRoman(heading.id)));
+};
+
+// Secs. 1-99 come before the first division
+const titleDivision = (title) => (title === 0 ? null : String.fromCharCode(64 + Math.max(1, Math.floor(title / 10))));
+
+export const titleNodeId = (title) => `title:${title}`;
+const divisionNodeId = (division) => `division:${division}`;
+const subtitleNodeId = (title, subtitle) => `title:${title}:${subtitle}`;
+const UNPLACED_ID = 'none';
+
+// Where each section sits: { title, subtitle } by group key
+const placeSections = (rowsByKey) => {
+  const names = { division: new Map(), title: new Map(), subtitle: new Map() };
+  const entries = [];
+  const placement = new Map();
+
+  rowsByKey.forEach((rows, key) => {
+    const indexes = new Set();
+    rows.forEach(row => {
+      const index = Number(row.section_index);
+      if (row.section_index === undefined || row.section_index === null || Number.isNaN(index) || indexes.has(index)) return;
+      indexes.add(index);
+      entries.push({ index, key, text: row.full_text });
+    });
+    // Without a statement position only the section number can place it
+    if (indexes.size === 0) placement.set(key, { title: numberedTitle(rows), subtitle: null });
+  });
+  entries.sort((a, b) => a.index - b.index);
+
+  let title = null;
+  let subtitle = null;
+  entries.forEach(({ key, text }) => {
+    if (!placement.has(key)) {
+      const numbered = numberedTitle(rowsByKey.get(key));
+      if (numbered !== null && numbered !== title) {
+        title = numbered;
+        subtitle = null;
+      }
+      placement.set(key, { title, subtitle });
+    }
+
+    trailingHeadings(text).forEach(heading => {
+      if (heading.level === 'division') {
+        names.division.set(heading.id, heading.name);
+      } else if (heading.level === 'title') {
+        title = fromRoman(heading.id);
+        subtitle = null;
+        names.title.set(title, heading.name);
+      } else if (title !== null) {
+        subtitle = heading.id;
+        names.subtitle.set(subtitleNodeId(title, subtitle), heading.name);
+      }
+    });
+  });
+
+  return { placement, names };
+};
+
+// { nodes, byId, pathOf }: the tree of { id, label, name, total, children }
+// and, per group key, the ids of the nodes the section is in from the top down
+export const buildOutline = (rowsByKey) => {
+  const { placement, names } = placeSections(rowsByKey);
+  const byId = new Map();
+  const pathOf = new Map();
+  const roots = [];
+
+  const nodeFor = (id, make, siblings) => {
+    if (!byId.has(id)) {
+      const node = { id, total: 0, children: [], ...make() };
+      byId.set(id, node);
+      siblings.push(node);
+    }
+    return byId.get(id);
+  };
+
+  placement.forEach(({ title, subtitle }, key) => {
+    if (title === null) {
+      const node = nodeFor(UNPLACED_ID, () => ({ label: 'Other sections', name: '', order: Infinity }), roots);
+      node.total++;
+      pathOf.set(key, [node.id]);
+      return;
+    }
+
+    const path = [];
+    const division = titleDivision(title);
+    let siblings = roots;
+    if (division) {
+      const node = nodeFor(divisionNodeId(division), () => ({
+        label: `Division ${division}`,
+        name: names.division.get(division) || '',
+        order: division.charCodeAt(0),
+      }), roots);
+      path.push(node);
+      siblings = node.children;
+    }
+
+    const titleNode = nodeFor(titleNodeId(title), () => ({
+      label: titleLabel(title),
+      name: names.title.get(title) || '',
+      order: title,
+    }), siblings);
+    path.push(titleNode);
+
+    if (subtitle) {
+      path.push(nodeFor(subtitleNodeId(title, subtitle), () => ({
+        label: `Subtitle ${subtitle}`,
+        name: names.subtitle.get(subtitleNodeId(title, subtitle)) || '',
+        order: subtitle.charCodeAt(0),
+      }), titleNode.children));
+    }
+
+    path.forEach(node => node.total++);
+    pathOf.set(key, path.map(node => node.id));
+  });
+
+  const sortNodes = (nodes) => {
+    nodes.sort((a, b) => a.order - b.order);
+    nodes.forEach(node => sortNodes(node.children));
+    return nodes;
+  };
+  return { nodes: sortNodes(roots), byId, pathOf };
+};
+
+// Sections of `groups` under each node, by node id
+export const outlineCounts = (outline, groups) => {
+  const counts = new Map();
+  groups.forEach(group => (outline.pathOf.get(group.key) || []).forEach(id => {
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }));
+  return counts;
+};
+
+// Ids from another dataset (a stale link, say) don't filter anything out
+export const inOutlineNode = (outline, key, id) => (
+  !id || !outline.byId.has(id) || !!outline.pathOf.get(key)?.includes(id)
+);
+
+export const outlineNodeLabel = (node) => (node.name ? `${node.label}—${node.name}` : node.label);
@@ -0,0 +1,96 @@
+import { diffWords } from 'diff';
+import { formatText } from './text';
+import { memoizeDiff } from './diffCache';
+
+// Where a word of the enrolled text came from
+export const ORIGINS = {
+  BOTH: 'both',
+  HOUSE: 'house',
+  SENATE: 'senate',
+  NEW: 'new',
+};
+
+export const ORIGIN_LABELS = {
+  [ORIGINS.BOTH]: 'Common to both',
+  [ORIGINS.HOUSE]: 'House only',
+  [ORIGINS.SENATE]: 'Senate only',
+  [ORIGINS.NEW]: 'Conference language',
+};
+
+const HOUSE_BIT = 1;
+const SENATE_BIT = 2;
+
+// Set `bit` on every character of finalText that diffWords keeps unchanged
+// from sourceText. Non-removed parts concatenate back to finalText exactly,
+// so a running offset is enough to map parts onto final positions.
+const markRetained = (sourceText, finalText, mask, bit) => {
+  if (!sourceText) return;
+
+  let offset = 0;
+  diffWords(sourceText, finalText).forEach(part => {
+    if (part.removed) return;
+    if (!part.added) {
+      for (let i = offset; i < offset + part.value.length; i++) {
+        mask[i] |= bit;
+      }
+    }
+    offset += part.value.length;
+  });
+};
+
+const originFromMask = (value) => {
+  if (value === (HOUSE_BIT | SENATE_BIT)) return ORIGINS.BOTH;
+  if (value === HOUSE_BIT) return ORIGINS.HOUSE;
+  if (value === SENATE_BIT) return ORIGINS.SENATE;
+  return ORIGINS.NEW;
+};
+
+// Attribute every word of the enrolled text to the House version, the Senate
+// version, both, or neither (new conference language). Returns contiguous
+// spans for rendering plus word counts/percentages per origin.
+export const computeProvenance = memoizeDiff(({ houseText, senateText, finalText }) => {
+  const final = formatText(finalText);
+  const house = formatText(houseText);
+  const senate = formatText(senateText);
+
+  const mask = new Uint8Array(final.length);
+  markRetained(house, final, mask, HOUSE_BIT);
+  markRetained(senate, final, mask, SENATE_BIT);
+
+  const counts = { [ORIGINS.BOTH]: 0, [ORIGINS.HOUSE]: 0, [ORIGINS.SENATE]: 0, [ORIGINS.NEW]: 0 };
+  const spans = [];
+  const wordPattern = /\S+/g;
+  let lastEnd = 0;
+  let match;
+
+  while ((match = wordPattern.exec(final)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    // A word counts as retained only if every character of it was retained
+    let combined = HOUSE_BIT | SENATE_BIT;
+    for (let i = start; i < end; i++) combined &= mask[i];
+    const origin = originFromMask(combined);
+    counts[origin]++;
+
+    const previous = spans[spans.length - 1];
+    const text = final.slice(lastEnd, end); // leading whitespace rides along
+    if (previous && previous.origin === origin) {
+      previous.text += text;
+    } else {
+      spans.push({ origin, text });
+    }
+    lastEnd = end;
+  }
+
+  if (lastEnd < final.length && spans.length > 0) {
+    spans[spans.length - 1].text += final.slice(lastEnd);
+  }
+
+  const totalWords = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const percentages = Object.fromEntries(
+    Object.entries(counts).map(([origin, n]) => [origin, totalWords ? (n / totalWords) * 100 : 0])
+  );
+
+  return { spans, counts, percentages, totalWords };
+});
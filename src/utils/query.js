@@ -0,0 +1,380 @@
+// Fielded query language for the search box.
+//
+//   header:"pay raise" type:senate words:>500
+//   (sec:100..199 OR sec:1001) NOT complexity:multi
+//   enr:/shall (submit|provide) a report/ -jes:technical
+//   tag:"follow up" OR note:waiver
+//
+// Bare words and "quoted phrases" search the text fields; `field:value`
+// restricts to one field (other `word:` text is searched as typed); AND is
+// implicit between terms; OR, NOT, `-term` and parentheses combine them.
+// Numeric fields accept >, >=, <, <=, = and `a..b` ranges. /regex/flags
+// works anywhere a value does.
+//
+// Fields read a row, plus a `context` for data kept outside the workbook:
+// `annotationOf(row)` and `reviewOf(row)` return the section's annotation and
+// review, if any, and `groupOf(row)` its group from groupSections().
+
+import { ENR_COLUMN, ENR_CHAR_COUNT_COLUMN } from './columns';
+import { isIndexedField, lookupText } from './searchIndex';
+import { rowAgreement, getConferenceOutcome } from './agreement';
+import { lengthChange } from './similarity';
+import { reviewStatusOf, getReviewStatus } from './review';
+import { getGroupingConfidence } from './sectionGroups';
+
+export class QueryParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+const wordCountCache = new WeakMap();
+const countWords = (row) => {
+  if (row.word_count !== undefined && row.word_count !== null && row.word_count !== '') {
+    return Number(row.word_count);
+  }
+  if (!wordCountCache.has(row)) {
+    const text = row.source_full_section_text || '';
+    wordCountCache.set(row, (text.match(/\S+/g) || []).length);
+  }
+  return wordCountCache.get(row);
+};
+
+// Outcome id and label, so both outcome:no-similar and outcome:"similar provision" match
+const outcomeTerms = (row) => {
+  const { outcome } = rowAgreement(row);
+  return outcome ? [outcome, getConferenceOutcome(outcome).label] : [];
+};
+
+const annotationText = (row, context) => {
+  const annotation = context.annotationOf?.(row);
+  return annotation ? [annotation.notes, ...annotation.highlights.map(highlight => highlight.comment)] : [];
+};
+
+// Status id and label, so status:flagged and status:"follow-up" both match
+const reviewTerms = (row, context) => {
+  const status = reviewStatusOf(context.reviewOf?.(row));
+  return [status, getReviewStatus(status).label];
+};
+
+// Confidence id and label, so grouping:low and grouping:"check grouping" both match
+const groupingTerms = (row, context) => {
+  const level = context.groupOf?.(row)?.confidence.level;
+  return level ? [level, getGroupingConfidence(level).label] : [];
+};
+
+export const QUERY_FIELDS = {
+  header: { kind: 'text', description: 'Section header', get: row => [row.header, row.section_header] },
+  sec: { kind: 'section', description: 'Section number (101, 130A, >500, 100..199)', get: row => [row.referenced_section_number, row.sec_key] },
+  type: { kind: 'text', description: 'Source bill type (house, senate, amendment)', get: row => [row.source_bill_type] },
+  complexity: { kind: 'text', description: 'Reference complexity', get: row => [row.reference_complexity] },
+  enr: { kind: 'text', description: 'Enrolled bill text', get: row => [row[ENR_COLUMN]] },
+  jes: { kind: 'text', description: 'Joint Explanatory Statement text', get: row => [row.full_text] },
+  source: { kind: 'text', description: 'Source (House/Senate) section text', get: row => [row.source_full_section_text] },
+  refs: { kind: 'text', description: 'Bill references', get: row => [row.bill_references, row.all_references_found] },
+  agreement: { kind: 'text', description: 'Agreement phrases', get: row => [row.agreement_phrases] },
+  outcome: { kind: 'text', description: 'Conference outcome (dropped, amended, senate)', get: row => outcomeTerms(row) },
+  words: { kind: 'number', description: 'Source text word count', get: row => [countWords(row)] },
+  chars: { kind: 'number', description: 'Source text character count', get: row => [row.source_full_section_text_char_count] },
+  enrchars: { kind: 'number', description: 'Enrolled text character count', get: row => [row[ENR_CHAR_COUNT_COLUMN]] },
+  growth: { kind: 'number', description: 'Change in length from source to enrolled text, % (>25, -25..-6)', get: row => [lengthChange(row)] },
+  note: { kind: 'text', description: 'Your notes and highlight comments', get: (row, context) => annotationText(row, context) },
+  tag: { kind: 'tag', description: 'Your tags (exact, any case)', get: (row, context) => context.annotationOf?.(row)?.tags || [] },
+  status: { kind: 'text', description: 'Review status (unreviewed, in-progress, reviewed, flagged)', get: (row, context) => reviewTerms(row, context) },
+  assignee: { kind: 'text', description: 'Review assignee', get: (row, context) => [context.reviewOf?.(row)?.assignee] },
+  grouping: { kind: 'text', description: 'Grouping confidence (high, medium, low, manual)', get: (row, context) => groupingTerms(row, context) },
+};
+
+// Own keys only, so "constructor:" or "__proto__:" are plain words
+const isQueryField = (name) => Object.hasOwn(QUERY_FIELDS, name);
+
+// Fields searched by a term without a prefix. Numeric columns are left out
+// so "101" doesn't match word and character counts.
+const DEFAULT_FIELDS = ['header', 'type', 'complexity', 'enr', 'jes', 'source', 'refs', 'agreement', 'note', 'tag'];
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// ---------- Lexer ----------
+
+const isTermBoundary = (ch) => ch === undefined || /\s/.test(ch) || ch === '(' || ch === ')';
+
+const readQuoted = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) throw new QueryParseError('Unterminated quoted phrase', start);
+  return { value: input.slice(start + 1, end), next: end + 1 };
+};
+
+const readRegex = (input, start) => {
+  let i = start + 1;
+  while (i < input.length && input[i] !== '/') {
+    if (input[i] === '\\') i++;
+    i++;
+  }
+  if (i >= input.length) throw new QueryParseError('Unterminated regular expression', start);
+
+  const source = input.slice(start + 1, i);
+  let flagsEnd = i + 1;
+  while (/[a-z]/.test(input[flagsEnd] || '')) flagsEnd++;
+  // Global/sticky make .test() stateful across rows
+  const flags = input.slice(i + 1, flagsEnd).replace(/[gy]/g, '');
+
+  try {
+    return { regex: new RegExp(source, flags || 'i'), next: flagsEnd };
+  } catch (error) {
+    throw new QueryParseError(error.message, start);
+  }
+};
+
+const readBare = (input, start) => {
+  let i = start;
+  while (!isTermBoundary(input[i])) i++;
+  return { value: input.slice(start, i), next: i };
+};
+
+const parseNumericValue = (raw, position) => {
+  const range = raw.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/);
+  if (range) return { op: 'range', min: Number(range[1]), max: Number(range[2]) };
+
+  const comparison = raw.match(/^(>=|<=|>|<|=)?(-?\d+(?:\.\d+)?)$/);
+  if (comparison) return { op: comparison[1] || '=', number: Number(comparison[2]) };
+
+  throw new QueryParseError(`Expected a number, comparison or range but found "${raw}"`, position);
+};
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, position: i });
+      i++;
+      continue;
+    }
+    if (ch === '-' && !isTermBoundary(input[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+
+    const position = i;
+    // `name:` is a field prefix only for a known field with a value right
+    // after it; "Note: report" or a pasted URL are plain words
+    let field = null;
+    const fieldMatch = input.slice(i).match(/^([a-z_]+):/i);
+    if (fieldMatch && isQueryField(fieldMatch[1].toLowerCase()) && !isTermBoundary(input[i + fieldMatch[0].length])) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let term;
+    if (input[i] === '"') {
+      const { value, next } = readQuoted(input, i);
+      term = { match: 'phrase', value };
+      i = next;
+    } else if (input[i] === '/') {
+      const { regex, next } = readRegex(input, i);
+      term = { match: 'regex', regex };
+      i = next;
+    } else {
+      const { value, next } = readBare(input, i);
+      i = next;
+      if (!field && OPERATORS.includes(value)) {
+        tokens.push({ type: value, position });
+        continue;
+      }
+      term = { match: 'word', value };
+    }
+
+    const fields = field ? [field] : DEFAULT_FIELDS;
+    if (field && QUERY_FIELDS[field].kind === 'number' && term.match !== 'regex') {
+      term = { match: 'number', ...parseNumericValue(term.value, position) };
+    } else if (field && QUERY_FIELDS[field].kind === 'section' && term.match === 'word' && /^(>=|<=|>|<|=)|\.\./.test(term.value)) {
+      term = { match: 'number', ...parseNumericValue(term.value, position) };
+    }
+
+    tokens.push({ type: 'TERM', position, node: { type: 'term', fields, ...term } });
+  }
+
+  return tokens;
+};
+
+// ---------- Parser ----------
+//   or      := and ('OR' and)*
+//   and     := unary ('AND'? unary)*
+//   unary   := ('NOT' | '-') unary | primary
+//   primary := '(' or ')' | TERM
+
+const startsUnary = (token) => token && (token.type === 'TERM' || token.type === 'NOT' || token.type === '(');
+
+const parseTokens = (tokens, inputLength) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const endPosition = () => (peek() ? peek().position : inputLength);
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    for (;;) {
+      if (peek()?.type === 'AND') {
+        index++;
+        children.push(parseUnary());
+      } else if (startsUnary(peek())) {
+        children.push(parseUnary());
+      } else {
+        break;
+      }
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new QueryParseError('Unexpected end of query', inputLength);
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new QueryParseError('Missing closing parenthesis', endPosition());
+      index++;
+      return node;
+    }
+    if (token.type === 'TERM') {
+      index++;
+      return token.node;
+    }
+    throw new QueryParseError(`Unexpected "${token.type}"`, token.position);
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new QueryParseError(`Unexpected "${peek().type}"`, peek().position);
+  }
+  return ast;
+};
+
+// Parse a query string into an AST. Returns null for an empty query and
+// throws QueryParseError on malformed input.
+export const parseQuery = (input) => {
+  if (!input || !input.trim()) return null;
+  const tokens = tokenize(input);
+  if (tokens.length === 0) return null;
+  return parseTokens(tokens, input.length);
+};
+
+// ---------- Evaluation ----------
+
+const compareNumber = (value, term) => {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  if (Number.isNaN(n)) return false;
+
+  switch (term.op) {
+    case 'range': return n >= term.min && n <= term.max;
+    case '>': return n > term.number;
+    case '>=': return n >= term.number;
+    case '<': return n < term.number;
+    case '<=': return n <= term.number;
+    default: return n === term.number;
+  }
+};
+
+const matchesValue = (value, term, kind) => {
+  if (value === undefined || value === null || value === '') return false;
+
+  if (term.match === 'number') return compareNumber(value, term);
+  if (term.match === 'regex') return term.regex.test(String(value));
+
+  const text = String(value).toLowerCase();
+  const needle = term.value.toLowerCase();
+  // Section numbers and tags match exactly so sec:10 doesn't pull in 101..109
+  if (kind === 'section' || kind === 'number' || kind === 'tag') return text === needle;
+  return text.includes(needle);
+};
+
+// Rows matching a word/phrase term in the indexed fields, looked up once per
+// parsed query and reused for every row. Null when the index can't answer
+// (e.g. the value has no word characters) and the fields must be scanned.
+const indexedMatches = (node, index) => {
+  if (!index.matchCache.has(node)) {
+    index.matchCache.set(node, lookupText(index, node.value, node.fields, { phrase: node.match === 'phrase' }));
+  }
+  return index.matchCache.get(node);
+};
+
+const matchesTerm = (node, row, index, context) => {
+  let fields = node.fields;
+
+  if (index && (node.match === 'word' || node.match === 'phrase')) {
+    const rows = indexedMatches(node, index);
+    if (rows) {
+      if (rows.has(row)) return true;
+      fields = fields.filter(field => !isIndexedField(field));
+    }
+  }
+
+  return fields.some(field => {
+    const { kind, get } = QUERY_FIELDS[field];
+    return get(row, context).some(value => matchesValue(value, node, kind));
+  });
+};
+
+// `index` is an optional search index from buildSearchIndex; without it every
+// term is evaluated by scanning the row's fields. `context` is passed to the
+// fields' getters (see the top of the file).
+export const matchesQuery = (ast, row, index = null, context = {}) => {
+  if (!ast) return true;
+
+  switch (ast.type) {
+    case 'and': return ast.children.every(child => matchesQuery(child, row, index, context));
+    case 'or': return ast.children.some(child => matchesQuery(child, row, index, context));
+    case 'not': return !matchesQuery(ast.child, row, index, context);
+    default: return matchesTerm(ast, row, index, context);
+  }
+};
+
+// Positive free-text terms of a query (anything not under NOT), used to rank
+// results and highlight snippets
+export const collectSearchTerms = (ast) => {
+  const terms = [];
+  const regexes = [];
+
+  const walk = (node) => {
+    if (!node || node.type === 'not') return;
+    if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(walk);
+    } else if (node.match === 'word' || node.match === 'phrase') {
+      if (node.fields.some(isIndexedField)) {
+        terms.push({ value: node.value, fields: node.fields, phrase: node.match === 'phrase' });
+      }
+    } else if (node.match === 'regex') {
+      regexes.push(node.regex);
+    }
+  };
+
+  walk(ast);
+  return { terms, regexes };
+};
@@ -0,0 +1,109 @@
+import { diffArrays } from 'diff';
+import { formatText } from './text';
+import { memoizeDiff } from './diffCache';
+
+export const GRANULARITIES = [
+  { value: 'char', label: 'Characters' },
+  { value: 'word', label: 'Words' },
+  { value: 'sentence', label: 'Sentences' },
+];
+
+export const DEFAULT_REDLINE_OPTIONS = {
+  granularity: 'word',
+  ignoreWhitespace: false,
+  ignorePunctuation: false,
+  ignoreCase: false,
+  ignoreSectionNumber: false,
+};
+
+// Character-level diffs of long, heavily rewritten sections can take seconds;
+// past this the redline falls back to words
+const DIFF_TIMEOUT_MS = 1500;
+
+const TOKEN_PATTERNS = {
+  char: /[\s\S]/gu,
+  word: /\s+|[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu,
+  sentence: /\s+|[^\s][\s\S]*?(?:[.!?;:—](?=\s|$)|$)/gu,
+};
+
+// "4.", "142." or "Sec. 142." at the start of a section. Every version of a
+// provision is numbered differently, so the number is noise in a redline.
+const SECTION_NUMBER = /^\s*(?:sec(?:tion)?\.?\s*)?\d+[A-Z]?\.\s*/i;
+
+// Comparison key for a token; an empty key means the token is ignored
+const tokenKey = (token, options) => {
+  let key = token;
+  if (/^\s+$/.test(key)) return options.ignoreWhitespace ? '' : ' ';
+  if (options.ignoreWhitespace) key = key.replace(/\s+/g, '');
+  if (options.ignorePunctuation) key = key.replace(/[^\s\p{L}\p{N}]/gu, '');
+  if (options.ignoreCase) key = key.toLowerCase();
+  return key;
+};
+
+// Split text into comparable units. Ignored tokens (whitespace, punctuation)
+// ride along with the unit before them so they still display.
+const toUnits = (text, options, granularity) => {
+  const units = [];
+  let leading = '';
+  (text.match(TOKEN_PATTERNS[granularity]) || []).forEach(token => {
+    const key = tokenKey(token, options);
+    if (key) {
+      units.push({ key, text: leading + token });
+      leading = '';
+    } else if (units.length > 0) {
+      units[units.length - 1].text += token;
+    } else {
+      leading += token;
+    }
+  });
+  if (leading) units.push({ key: '', text: leading });
+  return units;
+};
+
+export const prepareRedlineText = (text, options) => {
+  const source = options.ignoreSectionNumber ? String(text || '').replace(SECTION_NUMBER, '') : text;
+  return formatText(source);
+};
+
+// Diff of two texts under the given options. Parts follow jsdiff's shape
+// ({ value, added, removed }); unchanged parts also carry `oldValue`, the
+// source's own text, which differs from `value` when a difference was ignored.
+export const computeRedline = memoizeDiff((sourceText, finalText, options = DEFAULT_REDLINE_OPTIONS) => {
+  const source = prepareRedlineText(sourceText, options);
+  const final = prepareRedlineText(finalText, options);
+
+  const run = (granularity, timeout) => {
+    const oldUnits = toUnits(source, options, granularity);
+    const newUnits = toUnits(final, options, granularity);
+    const result = diffArrays(oldUnits, newUnits, {
+      comparator: (left, right) => left.key === right.key,
+      timeout,
+    });
+    if (!result) return null;
+
+    const join = (units) => units.map(unit => unit.text).join('');
+    let oldIndex = 0;
+    let newIndex = 0;
+    return result.map(part => {
+      const count = part.value.length;
+      if (part.removed) {
+        oldIndex += count;
+        return { value: join(part.value), removed: true, added: false };
+      }
+      if (part.added) {
+        newIndex += count;
+        return { value: join(part.value), added: true, removed: false };
+      }
+      const value = join(newUnits.slice(newIndex, newIndex + count));
+      const oldValue = join(oldUnits.slice(oldIndex, oldIndex + count));
+      oldIndex += count;
+      newIndex += count;
+      return { value, oldValue, added: false, removed: false };
+    });
+  };
+
+  const parts = run(options.granularity, DIFF_TIMEOUT_MS);
+  if (parts) return { parts, granularity: options.granularity, source, final };
+
+  return { parts: run('word'), granularity: 'word', source, final };
+});
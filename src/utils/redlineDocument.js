@@ -0,0 +1,308 @@
+import { compareSources } from './multiDiff';
+import { conferenceOutcome, getConferenceOutcome } from './agreement';
+import { titleLabel } from './stats';
+import { createZip } from './zip';
+import { downloadFile } from './download';
+
+// Redline documents for one or many sections: a self-contained HTML file (with
+// a print stylesheet for saving as PDF) and a DOCX with real strike-through and
+// underline runs. Each section carries its header, section numbers, agreement
+// phrases, a word redline of every source version against the final text and
+// the Joint Explanatory Statement text. A briefing book adds a table of
+// contents by title ({ contents: true }) and the enrolled text of each
+// section ({ includeFinal: true }).
+
+// Word diffs over many long sections run on the main thread
+export const REDLINE_EXPORT_LIMIT = 200;
+
+// `inputs` as returned by diffInputsForRows, plus the section title and the
+// label of the final text. `titleNumber` is the enacted section's title, which
+// a chamber's section number can sit outside of.
+export const redlineSection = ({ title, finalLabel, sources, finalText, agreementPhrases, sectionNumbers, titleNumber = null, jesText }) => {
+  const { final, comparisons } = compareSources(sources, finalText);
+  const outcome = conferenceOutcome(agreementPhrases);
+  return {
+    title,
+    finalLabel,
+    sectionNumbers,
+    titleNumber,
+    agreementPhrases,
+    outcome: outcome && getConferenceOutcome(outcome).label,
+    jesText: jesText || '',
+    final,
+    comparisons,
+  };
+};
+
+// Sections grouped under their title, titles in order of first appearance
+const byTitle = (sections) => {
+  const groups = new Map();
+  sections.forEach((section, index) => {
+    const label = section.titleNumber === null ? 'Other sections' : titleLabel(section.titleNumber);
+    if (!groups.has(label)) groups.set(label, { label, entries: [] });
+    groups.get(label).entries.push({ section, index });
+  });
+  return [...groups.values()];
+};
+
+const sectionMeta = (section) => {
+  const title = section.titleNumber === null ? null : titleLabel(section.titleNumber);
+  const numbers = section.sectionNumbers.length > 0 ? `Sec. ${section.sectionNumbers.join(', ')}` : null;
+  const versions = section.comparisons.map(comparison => comparison.label).join(', ');
+  return [title, numbers, versions && `${versions} vs ${section.finalLabel}`].filter(Boolean).join(' · ');
+};
+
+const generatedOn = () => new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+// ---------- HTML ----------
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const REDLINE_CSS = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; color: #111; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.2rem; margin: 0 0 0.25rem; }
+  h3 { font-size: 1rem; margin: 1rem 0 0.25rem; }
+  .generated, .meta, .legend { color: #555; font-size: 0.85rem; margin-top: 0; }
+  .redline-section { border-top: 1px solid #ccc; padding-top: 1.5rem; margin-top: 2rem; }
+  .agreement { background: #fffbeb; border-left: 3px solid #d97706; padding: 0.5rem 0.75rem; font-size: 0.9rem; }
+  .agreement ul { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+  .redline, .jes, .enrolled { white-space: pre-wrap; }
+  .jes { font-size: 0.9rem; color: #333; }
+  .enrolled { background: #f0fdf4; padding: 0.5rem 0.75rem; }
+  .contents h3 { margin-bottom: 0; }
+  .contents ol { margin-top: 0.25rem; }
+  .contents a { color: inherit; }
+  del { color: #b91c1c; text-decoration: line-through; }
+  ins { color: #15803d; text-decoration: underline; }
+  @page { margin: 1in; }
+  @media print {
+    body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+    .redline-section { border-top: none; margin-top: 0; padding-top: 0; break-before: page; }
+    .document-heading + .redline-section { break-before: auto; }
+    .contents { break-after: page; }
+    .contents a { text-decoration: none; }
+    h2, h3 { break-after: avoid; }
+    .agreement { break-inside: avoid; }
+    del, ins, .agreement { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+const htmlParts = (parts) => parts.map(part => {
+  if (part.removed) return `<del>${escapeHtml(part.value)}</del>`;
+  if (part.added) return `<ins>${escapeHtml(part.value)}</ins>`;
+  return escapeHtml(part.value);
+}).join('');
+
+const htmlSection = (section, index, { includeFinal }) => `
+<section class="redline-section" id="section-${index + 1}">
+  <h2>${escapeHtml(section.title)}</h2>
+  <p class="meta">${escapeHtml(sectionMeta(section))}</p>
+  ${section.agreementPhrases.length > 0 ? `
+  <div class="agreement">
+    <strong>Conference outcome:</strong> ${escapeHtml(section.outcome || 'Not stated')}
+    <ul>${section.agreementPhrases.map(phrase => `<li>${escapeHtml(phrase)}</li>`).join('')}</ul>
+  </div>` : ''}
+  ${includeFinal && section.final ? `
+  <h3>${escapeHtml(section.finalLabel)}</h3>
+  <p class="enrolled">${escapeHtml(section.final)}</p>` : ''}
+  ${section.comparisons.length === 0 || !section.final
+    ? '<p class="meta">No source and final text to compare.</p>'
+    : section.comparisons.map(comparison => `
+  <h3>${escapeHtml(comparison.label)} → ${escapeHtml(section.finalLabel)}</h3>
+  <p class="redline">${htmlParts(comparison.parts)}</p>`).join('')}
+  ${section.jesText ? `
+  <h3>Joint Explanatory Statement</h3>
+  <p class="jes">${escapeHtml(section.jesText)}</p>` : ''}
+</section>`;
+
+const htmlContents = (sections) => `
+<nav class="contents">
+  <h2>Contents</h2>
+  ${byTitle(sections).map(group => `
+  <h3>${escapeHtml(group.label)}</h3>
+  <ol>${group.entries.map(({ section, index }) => `<li><a href="#section-${index + 1}">${escapeHtml(section.title)}</a></li>`).join('')}</ol>`).join('')}
+</nav>`;
+
+export const redlineHtml = (sections, heading, { contents = false, includeFinal = false } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>${REDLINE_CSS}</style>
+</head>
+<body>
+<header class="document-heading">
+  <h1>${escapeHtml(heading)}</h1>
+  <p class="generated">Generated ${escapeHtml(generatedOn())} · ${sections.length} section${sections.length !== 1 ? 's' : ''}</p>
+  <p class="legend"><del>Struck</del> text was removed from the source version; <ins>underlined</ins> text was added in the final text.</p>
+</header>
+${contents ? htmlContents(sections) : ''}
+${sections.map((section, index) => htmlSection(section, index, { includeFinal })).join('\n')}
+</body>
+</html>
+`;
+
+// ---------- DOCX ----------
+
+const escapeXml = (text) => escapeHtml(text)
+  .replace(/'/g, '&apos;')
+  // Control characters aren't allowed in XML
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+const RUN_STYLES = {
+  plain: '',
+  bold: '<w:b/>',
+  small: '<w:color w:val="555555"/><w:sz w:val="18"/>',
+  removed: '<w:strike/><w:color w:val="B91C1C"/>',
+  added: '<w:color w:val="15803D"/><w:u w:val="single"/>',
+};
+
+const run = (text, style = 'plain') => {
+  const props = RUN_STYLES[style] ? `<w:rPr>${RUN_STYLES[style]}</w:rPr>` : '';
+  // Line breaks inside a run become <w:br/>
+  const content = String(text).split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`).join('<w:br/>');
+  return `<w:r>${props}${content}</w:r>`;
+};
+
+const paragraph = (runs, { heading, pageBreak = false, indent = false } = {}) => {
+  const props = [
+    heading ? `<w:pStyle w:val="Heading${heading}"/>` : '',
+    pageBreak ? '<w:pageBreakBefore/>' : '',
+    indent ? '<w:ind w:left="360"/>' : '',
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+};
+
+const docxSection = (section, pageBreak, { includeFinal }) => [
+  paragraph([run(section.title)], { heading: 2, pageBreak }),
+  paragraph([run(sectionMeta(section), 'small')]),
+  ...(section.agreementPhrases.length > 0 ? [
+    paragraph([run('Conference outcome: ', 'bold'), run(section.outcome || 'Not stated')]),
+    ...section.agreementPhrases.map(phrase => paragraph([run(`• ${phrase}`)], { indent: true })),
+  ] : []),
+  ...(includeFinal && section.final ? [
+    paragraph([run(section.finalLabel)], { heading: 3 }),
+    paragraph([run(section.final)]),
+  ] : []),
+  ...(section.comparisons.length === 0 || !section.final
+    ? [paragraph([run('No source and final text to compare.', 'small')])]
+    : section.comparisons.flatMap(comparison => [
+      paragraph([run(`${comparison.label} → ${section.finalLabel}`)], { heading: 3 }),
+      paragraph(comparison.parts.map(part => run(part.value, part.removed ? 'removed' : part.added ? 'added' : 'plain'))),
+    ])),
+  ...(section.jesText ? [
+    paragraph([run('Joint Explanatory Statement')], { heading: 3 }),
+    paragraph([run(section.jesText)]),
+  ] : []),
+].join('');
+
+const WORD_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const headingStyle = (level, size) => `
+  <w:style w:type="paragraph" w:styleId="Heading${level}">
+    <w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr>
+  </w:style>`;
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${WORD_NS}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  ${headingStyle(1, 32)}
+  ${headingStyle(2, 26)}
+  ${headingStyle(3, 22)}
+</w:styles>`;
+
+const DOCX_CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const DOCX_PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCX_DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const docxContents = (sections) => [
+  paragraph([run('Contents')], { heading: 2 }),
+  ...byTitle(sections).flatMap(group => [
+    paragraph([run(group.label, 'bold')]),
+    ...group.entries.map(({ section }) => paragraph([run(section.title)], { indent: true })),
+  ]),
+].join('');
+
+export const redlineDocx = (sections, heading, { contents = false, includeFinal = false } = {}) => {
+  const body = [
+    paragraph([run(heading)], { heading: 1 }),
+    paragraph([run(`Generated ${generatedOn()} · ${sections.length} section${sections.length !== 1 ? 's' : ''}`, 'small')]),
+    paragraph([
+      run('Struck', 'removed'),
+      run(' text was removed from the source version; ', 'small'),
+      run('underlined', 'added'),
+      run(' text was added in the final text.', 'small'),
+    ]),
+    contents ? docxContents(sections) : '',
+    ...sections.map((section, index) => docxSection(section, contents || index > 0, { includeFinal })),
+  ].join('');
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${WORD_NS}><w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const bytes = createZip([
+    { name: '[Content_Types].xml', content: DOCX_CONTENT_TYPES },
+    { name: '_rels/.rels', content: DOCX_PACKAGE_RELS },
+    { name: 'word/document.xml', content: documentXml },
+    { name: 'word/_rels/document.xml.rels', content: DOCX_DOCUMENT_RELS },
+    { name: 'word/styles.xml', content: DOCX_STYLES },
+  ]);
+  return new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+};
+
+// ---------- Output ----------
+
+// Writes the document, or opens it for printing. Returns false when the
+// print window was blocked.
+export const exportRedlines = (format, sections, { heading, fileName, ...options }) => {
+  if (format === 'docx') {
+    downloadFile(redlineDocx(sections, heading, options), `${fileName}.docx`);
+    return true;
+  }
+
+  const html = redlineHtml(sections, heading, options);
+  if (format === 'html') {
+    downloadFile(html, `${fileName}.html`, 'text/html;charset=utf-8');
+    return true;
+  }
+
+  const popup = window.open('', '_blank');
+  if (!popup) return false;
+  popup.document.open();
+  popup.document.write(html);
+  popup.document.close();
+  popup.focus();
+  popup.print();
+  return true;
+};
+
+// File name stem from a section header
+export const redlineFileName = (title) => `redline-${
+  String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'section'
+}`;
@@ -0,0 +1,143 @@
+import { parseAgreementPhrases } from './agreement';
+import { chamberOf } from './datasets';
+
+// References from Joint Explanatory Statement entries to sections of the
+// chamber bills. bill_references holds a Python list literal such as
+// "['House bill (sec. 132)', 'Senate committee-reported bill (sec. 130A)']";
+// a reference can name several sections ("(sec. 509B, sec. 1047)",
+// "(sec. 1061, 1062, and 1063)", "(sec. 5101 through sec. 5105)") or a
+// division of a Senate amendment ("Senate Amendment (2302) (division F)").
+//
+// Chambers use the codes of the dataset registry (house, senate, amendment),
+// so a reference resolves to the rows whose source_bill_type is of that
+// chamber and whose referenced_section_number is the section.
+
+export const REFERENCE_CHAMBERS = {
+  house: { label: 'House', style: 'bg-blue-100 text-blue-800' },
+  senate: { label: 'Senate', style: 'bg-purple-100 text-purple-800' },
+  amendment: { label: 'Senate amdt.', style: 'bg-teal-100 text-teal-800' },
+};
+
+const referenceChamber = (bill) => {
+  if (/^house\b/i.test(bill)) return 'house';
+  if (/^senate\s+amendment\b/i.test(bill)) return 'amendment';
+  if (/^senate\b/i.test(bill)) return 'senate';
+  return null;
+};
+
+const SECTION = /^\d+[A-Z]*$/i;
+// Ranges longer than this keep only their endpoints
+const MAX_RANGE = 100;
+
+const parseSectionList = (text) => text
+  .replace(/\bsecs?\.\s*/gi, '')
+  .split(/,|\band\b/)
+  .map(part => part.trim())
+  .filter(Boolean)
+  .flatMap(part => {
+    const range = part.match(/^(\S+)\s+(?:through|to)\s+(\S+)$/i);
+    if (!range) return SECTION.test(part) ? [part.toUpperCase()] : [];
+
+    const [, from, to] = range;
+    const start = Number(from);
+    const end = Number(to);
+    if (Number.isInteger(start) && Number.isInteger(end) && end > start && end - start <= MAX_RANGE) {
+      return Array.from({ length: end - start + 1 }, (_, i) => String(start + i));
+    }
+    return [from, to].filter(section => SECTION.test(section)).map(section => section.toUpperCase());
+  });
+
+// One reference string -> { text, bill, chamber, amendment, division, sections }
+export const parseReference = (text) => {
+  const parenthesis = text.indexOf('(');
+  const bill = (parenthesis === -1 ? text : text.slice(0, parenthesis)).trim();
+  const chamber = referenceChamber(bill);
+  const reference = { text, bill, chamber, amendment: null, division: null, sections: [] };
+
+  for (const [, inner] of text.matchAll(/\(([^()]*)\)/g)) {
+    const content = inner.trim();
+    const division = content.match(/^division\s+(\w+)$/i);
+    if (chamber === 'amendment' && !reference.amendment && /^\d+$/.test(content)) {
+      reference.amendment = content;
+    } else if (division) {
+      reference.division = division[1].toUpperCase();
+    } else {
+      parseSectionList(content).forEach(section => {
+        if (!reference.sections.includes(section)) reference.sections.push(section);
+      });
+    }
+  }
+  return reference;
+};
+
+export const parseBillReferences = (value) => parseAgreementPhrases(value).map(parseReference);
+
+const referenceCache = new WeakMap();
+
+// Parsed bill_references of a row, cached
+export const rowReferences = (row) => {
+  if (!referenceCache.has(row)) referenceCache.set(row, parseBillReferences(row.bill_references));
+  return referenceCache.get(row);
+};
+
+export const sectionNodeId = (chamber, section) => `${chamber}:${section}`;
+
+export const referenceLabel = (chamber, section) => `${REFERENCE_CHAMBERS[chamber]?.label || chamber} § ${section}`;
+
+// The chamber sections a section's references point at, without repeats, as
+// { id, chamber, section, amendment }. Divisions and references of unknown
+// bills are left out as they can't be resolved to rows.
+export const sectionReferences = (rows) => {
+  const seen = new Map();
+  rows.forEach(row => rowReferences(row).forEach(reference => {
+    if (!reference.chamber) return;
+    reference.sections.forEach(section => {
+      const id = sectionNodeId(reference.chamber, section);
+      if (!seen.has(id)) seen.set(id, { id, chamber: reference.chamber, section, amendment: reference.amendment });
+    });
+  }));
+  return [...seen.values()];
+};
+
+// Chamber section id -> group keys of the sections with a row for it
+export const buildReferenceIndex = (dataset, rowsByKey) => {
+  const index = new Map();
+  rowsByKey.forEach((rows, key) => rows.forEach(row => {
+    const chamber = chamberOf(dataset, row.source_bill_type);
+    if (!chamber || row.referenced_section_number === undefined || row.referenced_section_number === null) return;
+    const id = sectionNodeId(chamber, String(row.referenced_section_number).trim().toUpperCase());
+    if (!index.has(id)) index.set(id, new Set());
+    index.get(id).add(key);
+  }));
+  return index;
+};
+
+export const resolveReference = (index, id) => [...(index.get(id) || [])];
+
+// Bipartite graph of the given sections (groups as in the results table) and
+// the chamber sections they reference. An entry consolidates when it draws on
+// more than one section of the same bill; a chamber section is shared when
+// more than one entry references it.
+export const referenceGraph = (groups) => {
+  const sections = new Map();
+  const entries = groups.map(group => {
+    const refs = sectionReferences(group.rows);
+    refs.forEach(ref => {
+      if (!sections.has(ref.id)) sections.set(ref.id, { ...ref, entries: [] });
+      sections.get(ref.id).entries.push(group.key);
+    });
+    const perChamber = new Map();
+    refs.forEach(ref => perChamber.set(ref.chamber, (perChamber.get(ref.chamber) || 0) + 1));
+    return {
+      key: group.key,
+      header: group.rows[0]?.header || group.key,
+      refs: refs.map(ref => ref.id),
+      consolidates: [...perChamber.values()].some(count => count > 1),
+    };
+  });
+
+  sections.forEach(section => {
+    section.shared = section.entries.length > 1;
+  });
+  return { entries, sections };
+};
@@ -0,0 +1,77 @@
+import { readTeamFile, mergeEntries, asString } from './teamFile';
+import { numberedTitle, titleLabel, titleQuery } from './stats';
+
+// Review workflow for dividing the bill among analysts. Each section's review
+// is { status, assignee, updated }, saved per dataset under the section id;
+// sections without one are unreviewed and unassigned.
+
+export const REVIEW_STATUSES = [
+  { id: 'unreviewed', label: 'Unreviewed', style: 'bg-gray-100 text-gray-700', bar: 'bg-gray-300' },
+  { id: 'in-progress', label: 'In progress', style: 'bg-blue-100 text-blue-800', bar: 'bg-blue-500' },
+  { id: 'reviewed', label: 'Reviewed', style: 'bg-green-100 text-green-800', bar: 'bg-green-500' },
+  { id: 'flagged', label: 'Flagged for follow-up', style: 'bg-amber-100 text-amber-800', bar: 'bg-amber-500' },
+];
+
+export const getReviewStatus = (id) => REVIEW_STATUSES.find(status => status.id === id) || REVIEW_STATUSES[0];
+
+export const reviewStatusOf = (review) => review?.status || 'unreviewed';
+
+// Assignee filter value for sections nobody has taken
+export const UNASSIGNED = '-';
+
+export const isDefaultReview = (review) => reviewStatusOf(review) === 'unreviewed' && !review?.assignee;
+
+export const matchesReviewFilter = (review, status, assignee) => (
+  (!status || reviewStatusOf(review) === status) &&
+  (!assignee || (assignee === UNASSIGNED ? !review?.assignee : review?.assignee === assignee))
+);
+
+export const reviewAssignees = (entries) => (
+  [...new Set(Object.values(entries).map(review => review.assignee).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+);
+
+const emptyCounts = () => Object.fromEntries(REVIEW_STATUSES.map(status => [status.id, 0]));
+
+// Status counts for the whole bill and per title. A section counts towards
+// its enacted section's title, as on the dashboard and in exports; `filter`
+// lists a title's sections in the table.
+export const reviewProgress = (rowsByKey, sectionIds, entries) => {
+  const overall = { total: 0, counts: emptyCounts() };
+  const byTitle = new Map();
+
+  rowsByKey.forEach((rows, key) => {
+    const status = reviewStatusOf(entries[sectionIds.get(key)]);
+    overall.total++;
+    overall.counts[status]++;
+
+    const title = numberedTitle(rows);
+    if (!byTitle.has(title)) byTitle.set(title, { total: 0, counts: emptyCounts() });
+    byTitle.get(title).total++;
+    byTitle.get(title).counts[status]++;
+  });
+
+  const titles = [...byTitle]
+    .sort(([a], [b]) => (a === null) - (b === null) || a - b)
+    .map(([title, progress]) => ({
+      id: title === null ? 'none' : String(title),
+      label: title === null ? 'No section number' : titleLabel(title),
+      filter: title === null ? null : { searchTerm: titleQuery(title) },
+      ...progress,
+    }));
+  return { overall, titles };
+};
+
+// ---------- Import / export ----------
+
+const cleanReview = (review) => ({
+  status: getReviewStatus(review.status).id,
+  assignee: asString(review.assignee).trim(),
+  updated: asString(review.updated) || null,
+});
+
+// Entries from an exported file (see teamFile.js); throws on anything that isn't one
+export const parseReviewFile = (text) => readTeamFile(text, 'reviews', cleanReview);
+
+// Team files merge by section: whichever review was updated last wins. A
+// review set back to unreviewed is kept, so its reset wins over older files.
+export const mergeReviews = (entries, imported) => mergeEntries(entries, imported);
@@ -0,0 +1,275 @@
+import { ENR_COLUMN } from './columns';
+
+// In-memory inverted index over the long text fields of every row. Built once
+// after the workbook loads so typing in the search box only touches postings
+// for the typed terms instead of re-scanning every field of every row.
+
+// Keys line up with the query language field names in query.js
+export const INDEXED_FIELDS = {
+  header: { label: 'Header', weight: 3, get: row => [row.header, row.section_header].filter(Boolean).join(' — ') },
+  enr: { label: 'Enrolled text', weight: 1.5, get: row => row[ENR_COLUMN] },
+  source: { label: 'Source text', weight: 1, get: row => row.source_full_section_text },
+  jes: { label: 'Joint Explanatory Statement', weight: 1, get: row => row.full_text },
+};
+
+const FIELD_NAMES = Object.keys(INDEXED_FIELDS);
+
+// Own keys only, so names like "constructor" aren't taken for fields
+export const isIndexedField = (name) => Object.hasOwn(INDEXED_FIELDS, name);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Expansions of a prefix (e.g. "procure" -> "procurement") score lower than exact hits
+const PREFIX_PENALTY = 0.6;
+
+const TOKEN_PATTERN = /[a-z0-9]+/g;
+
+export const tokenize = (text) => (text ? text.toLowerCase().match(TOKEN_PATTERN) || [] : []);
+
+// Text with whitespace collapsed, used for phrase checks and snippets
+const normalize = (text) => (text ? String(text).replace(/\s+/g, ' ').trim() : '');
+
+export const buildSearchIndex = (rows) => {
+  const docs = [];
+  const rowIds = new Map();
+  const postings = new Map();
+  const totalLengths = Object.fromEntries(FIELD_NAMES.map(field => [field, 0]));
+
+  rows.forEach((row, id) => {
+    const fields = {};
+    // Count within the row first so the shared postings map is touched once
+    // per distinct term rather than once per token
+    const rowFrequencies = new Map();
+
+    FIELD_NAMES.forEach(field => {
+      const lower = normalize(INDEXED_FIELDS[field].get(row)).toLowerCase();
+      const tokens = lower.match(TOKEN_PATTERN) || [];
+      fields[field] = { lower, length: tokens.length };
+      totalLengths[field] += tokens.length;
+
+      for (const token of tokens) {
+        let frequencies = rowFrequencies.get(token);
+        if (!frequencies) {
+          frequencies = {};
+          rowFrequencies.set(token, frequencies);
+        }
+        frequencies[field] = (frequencies[field] || 0) + 1;
+      }
+    });
+
+    rowFrequencies.forEach((frequencies, token) => {
+      let docPostings = postings.get(token);
+      if (!docPostings) {
+        docPostings = new Map();
+        postings.set(token, docPostings);
+      }
+      docPostings.set(id, frequencies);
+    });
+
+    docs.push({ row, fields });
+    rowIds.set(row, id);
+  });
+
+  const averageLengths = Object.fromEntries(
+    FIELD_NAMES.map(field => [field, rows.length ? totalLengths[field] / rows.length || 1 : 1])
+  );
+
+  return {
+    docs,
+    rowIds,
+    postings,
+    terms: [...postings.keys()].sort(),
+    averageLengths,
+    // Per-query memo of term -> matching rows, keyed by query AST node
+    matchCache: new WeakMap(),
+  };
+};
+
+// All indexed terms starting with `prefix`, via binary search on the sorted term list
+export const expandPrefix = (index, prefix) => {
+  const { terms } = index;
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+};
+
+// Doc ids containing a token (or, when `prefix` is set, any token starting
+// with it) in one of `fields`
+const docsForToken = (index, token, fields, prefix) => {
+  const ids = new Set();
+  const candidates = prefix ? expandPrefix(index, token) : (index.postings.has(token) ? [token] : []);
+
+  candidates.forEach(term => {
+    index.postings.get(term).forEach((frequencies, id) => {
+      if (fields.some(field => frequencies[field])) ids.add(id);
+    });
+  });
+  return ids;
+};
+
+// Rows whose `fields` contain `value`. Single words match as token prefixes so
+// results appear while a word is still being typed; multi-token values and
+// phrases narrow candidates through the postings and are then confirmed as
+// a substring of the normalized field text.
+export const lookupText = (index, value, fields, { phrase = false } = {}) => {
+  const tokens = tokenize(value);
+  const indexedFields = fields.filter(isIndexedField);
+  if (tokens.length === 0 || indexedFields.length === 0) return null;
+
+  let candidates = null;
+  tokens.forEach((token, position) => {
+    const isLast = position === tokens.length - 1;
+    const ids = docsForToken(index, token, indexedFields, !phrase || isLast);
+    candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+  });
+
+  const needle = normalize(value).toLowerCase();
+  const rows = new Set();
+  candidates.forEach(id => {
+    const doc = index.docs[id];
+    if (tokens.length === 1 && !phrase) {
+      rows.add(doc.row);
+    } else if (indexedFields.some(field => doc.fields[field].lower.includes(needle))) {
+      rows.add(doc.row);
+    }
+  });
+  return rows;
+};
+
+const idf = (documentFrequency, totalDocs) =>
+  Math.log(1 + (totalDocs - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+// BM25 relevance of a row for the positive free-text terms of a query,
+// summed across the indexed fields with per-field weights
+export const scoreRow = (index, row, terms) => {
+  const id = index.rowIds.get(row);
+  if (id === undefined || terms.length === 0) return 0;
+
+  const doc = index.docs[id];
+  const totalDocs = index.docs.length;
+  let score = 0;
+
+  terms.forEach(({ value, fields, phrase }) => {
+    const searchFields = fields.filter(isIndexedField);
+
+    tokenize(value).forEach(token => {
+      const expansions = phrase ? [token] : expandPrefix(index, token);
+      // Expansions borrow the typed token's rarity when it is a word itself,
+      // so a rare "1012" doesn't outrank an exact "101"
+      const exactIdf = index.postings.has(token) ? idf(index.postings.get(token).size, totalDocs) : null;
+
+      expansions.forEach(term => {
+        const docPostings = index.postings.get(term);
+        const frequencies = docPostings?.get(id);
+        if (!frequencies) return;
+
+        const isExact = term === token;
+        const termIdf = isExact || exactIdf === null ? idf(docPostings.size, totalDocs) : exactIdf;
+        const boost = isExact ? 1 : PREFIX_PENALTY;
+
+        searchFields.forEach(field => {
+          const tf = frequencies[field];
+          if (!tf) return;
+          const lengthRatio = doc.fields[field].length / index.averageLengths[field];
+          const saturation = (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * lengthRatio));
+          score += INDEXED_FIELDS[field].weight * boost * termIdf * saturation;
+        });
+      });
+    });
+
+    // Exact phrase occurrences are worth more than the same words scattered
+    if (phrase) {
+      const needle = normalize(value).toLowerCase();
+      searchFields.forEach(field => {
+        if (needle && doc.fields[field].lower.includes(needle)) score += INDEXED_FIELDS[field].weight * 2;
+      });
+    }
+  });
+
+  return score;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex matching any occurrence of the query terms, used for highlighting
+const highlightPattern = (terms, regexes) => {
+  const alternatives = [];
+  terms.forEach(({ value, phrase }) => {
+    const tokens = tokenize(value);
+    if (tokens.length === 0) return;
+    // Multi-token values ("F-35", phrases) highlight as a unit, tolerating
+    // any punctuation between the tokens (e.g. en dashes in "F–35")
+    const joined = tokens.map(escapeRegExp).join('[^a-z0-9]+');
+    alternatives.push(`\\b${joined}${phrase ? '\\b' : '[a-z0-9]*'}`);
+  });
+  regexes.forEach(regex => alternatives.push(`(?:${regex.source})`));
+  if (alternatives.length === 0) return null;
+
+  try {
+    return new RegExp(alternatives.join('|'), 'gi');
+  } catch {
+    return null;
+  }
+};
+
+const SNIPPET_RADIUS = 90;
+
+// Short excerpt around the first match in the best-matching field, split into
+// plain and highlighted segments for rendering
+export const buildSnippet = (index, row, terms, regexes = []) => {
+  const id = index.rowIds.get(row);
+  const pattern = highlightPattern(terms, regexes);
+  if (id === undefined || !pattern) return null;
+
+  const doc = index.docs[id];
+  const allowedFields = new Set(terms.flatMap(term => term.fields));
+  let best = null;
+
+  FIELD_NAMES.forEach(field => {
+    if (allowedFields.size > 0 && !allowedFields.has(field)) return;
+    if (!doc.fields[field].length) return;
+    const text = normalize(INDEXED_FIELDS[field].get(row));
+
+    const matches = [...text.matchAll(pattern)].filter(match => match[0].length > 0);
+    if (matches.length === 0) return;
+
+    const weighted = matches.length * INDEXED_FIELDS[field].weight;
+    if (!best || weighted > best.weighted) best = { field, text, matches, weighted };
+  });
+
+  if (!best) return null;
+
+  const first = best.matches[0].index;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(best.text.length, first + SNIPPET_RADIUS * 2);
+  const segments = [];
+  let cursor = start;
+
+  best.matches.forEach(match => {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < cursor || matchEnd > end) return;
+    if (match.index > cursor) segments.push({ text: best.text.slice(cursor, match.index), highlight: false });
+    segments.push({ text: match[0], highlight: true });
+    cursor = matchEnd;
+  });
+  if (cursor < end) segments.push({ text: best.text.slice(cursor, end), highlight: false });
+
+  return {
+    field: best.field,
+    label: INDEXED_FIELDS[best.field].label,
+    prefix: start > 0,
+    suffix: end < best.text.length,
+    segments,
+  };
+};
@@ -0,0 +1,230 @@
+import { titleSimilarity } from './crossYear';
+import { normalizeHeader } from './sectionIds';
+import { sourceLabel } from './datasets';
+import { readTeamFile, mergeEntries, asString } from './teamFile';
+
+// Which workbook rows make up one section of the results. The workbook has a
+// row per statement entry and chamber section it draws on, and its headers
+// aren't a reliable key: one section's header can differ between rows (a
+// stray line break, a truncated title) and unrelated legislative provisions
+// not adopted can share one. Rows are grouped by
+//
+//   1. the enacted section: the section key, or the "Sec. 123—" number of
+//      the header;
+//   2. failing that, the statement entry (section_index) and header;
+//   3. failing that, the header alone.
+//
+// Each group gets a confidence from how well its rows agree, and users can
+// move rows into groups of their own (see the overrides below), which win
+// over all of this.
+
+export const GROUPING_CONFIDENCE = [
+  { id: 'high', label: 'Confident grouping', style: 'bg-green-100 text-green-800' },
+  { id: 'medium', label: 'Likely grouping', style: 'bg-yellow-100 text-yellow-800' },
+  { id: 'low', label: 'Check grouping', style: 'bg-red-100 text-red-800' },
+  { id: 'manual', label: 'Grouped by hand', style: 'bg-indigo-100 text-indigo-800' },
+];
+
+export const getGroupingConfidence = (id) => GROUPING_CONFIDENCE.find(level => level.id === id) || GROUPING_CONFIDENCE[0];
+
+// Statement headers of one section at least this alike are variants of one title
+const SAME_TITLE = 0.8;
+// Chamber sections titled less like the statement entry than this may not belong to it
+const CHAMBER_TITLE_MATCH = 0.3;
+
+const HEADER_SECTION = /^\s*secs?\.\s*(\d+[A-Z]*)/i;
+
+// Identity prefix of groups formed by hand
+const MANUAL = 'manual:';
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Enacted section number of a row, or null
+export const sectionNumberOf = (row) => {
+  if (hasValue(row.sec_key)) return String(row.sec_key).trim().toUpperCase();
+  const match = String(row.header ?? '').match(HEADER_SECTION);
+  return match ? match[1].toUpperCase() : null;
+};
+
+// Title the statement gives a section, without "Legislative Provisions Not Adopted —"
+const statementTitle = (header) => normalizeHeader(header).replace(/^legislative provisions not adopted\s*[—–-]\s*/i, '');
+
+const automaticIdentity = (row) => {
+  const number = sectionNumberOf(row);
+  if (number) return { id: `sec:${number}`, basis: 'section' };
+  const header = normalizeHeader(row.header).toLowerCase();
+  if (hasValue(row.section_index)) return { id: `entry:${row.section_index}:${header}`, basis: 'entry' };
+  return { id: `header:${header}`, basis: 'header' };
+};
+
+// Id a row's manual grouping is saved under: its header, chamber and section,
+// which stay put when the workbook is re-exported
+export const rowId = (row) => [normalizeHeader(row.header), row.source_bill_type ?? '', row.referenced_section_number ?? ''].join('|');
+
+const LOWER = { high: 'medium', medium: 'low', low: 'low' };
+
+// { level, reasons } for an automatic group
+const assessGroup = (dataset, basis, rows) => {
+  const reasons = [];
+  let level;
+  if (basis === 'section') {
+    level = 'high';
+    reasons.push(`Rows share section ${sectionNumberOf(rows[0])}`);
+  } else if (basis === 'entry') {
+    level = 'medium';
+    reasons.push('No section number; grouped by statement entry and header');
+  } else {
+    level = 'medium';
+    reasons.push('No section number or statement entry; grouped by header');
+  }
+
+  const titles = [...new Set(rows.map(row => statementTitle(row.header)))];
+  if (titles.length > 1) {
+    const alike = titles.every(title => titleSimilarity(title, titles[0]) >= SAME_TITLE);
+    if (!alike) level = LOWER[level];
+    reasons.push(`${alike ? 'Header variants' : 'Different headers'}: ${titles.map(title => `“${title}”`).join(', ')}`);
+  }
+
+  const unlike = rows.filter(row => (
+    hasValue(row.section_header) && titleSimilarity(statementTitle(row.header), String(row.section_header)) < CHAMBER_TITLE_MATCH
+  ));
+  if (unlike.length > 0) {
+    level = LOWER[level];
+    unlike.forEach(row => {
+      reasons.push(`${sourceLabel(dataset, row.source_bill_type)} § ${row.referenced_section_number} is titled “${normalizeHeader(row.section_header)}”`);
+    });
+  }
+  return { level, reasons };
+};
+
+// The header most of a group's rows carry, or the first of the most common
+const representativeHeader = (rows) => {
+  const counts = new Map();
+  rows.forEach(row => counts.set(row.header, (counts.get(row.header) || 0) + 1));
+  return [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+// Enacted section number, else the lowest chamber section number
+const representativeSection = (rows) => {
+  const number = rows.map(sectionNumberOf).find(Boolean);
+  if (number) return number;
+  const numbered = rows.filter(row => !Number.isNaN(parseInt(row.referenced_section_number, 10)));
+  if (numbered.length === 0) return rows[0].referenced_section_number;
+  return numbered.reduce((lowest, row) => (
+    parseInt(row.referenced_section_number, 10) < parseInt(lowest.referenced_section_number, 10) ? row : lowest
+  )).referenced_section_number;
+};
+
+// Sections of `rows` as { groups, rowsByKey, keyOf, resolve }. `groups` maps
+// group keys to { key, rows, section, confidence: { level, reasons } };
+// `keyOf` gives each row's group key. Keys are the group's header, numbered
+// when another group has it, so links and saved selections from before
+// groups were formed this way still mostly resolve; `resolve` maps any
+// header of a group to its key.
+export const groupSections = (dataset, rows, overrides = {}) => {
+  const byIdentity = new Map();
+  rows.forEach(row => {
+    const manual = overrides[rowId(row)]?.group;
+    const { id, basis } = manual ? { id: `${MANUAL}${manual}`, basis: 'manual' } : automaticIdentity(row);
+    if (!byIdentity.has(id)) byIdentity.set(id, { basis, rows: [] });
+    byIdentity.get(id).rows.push(row);
+  });
+
+  const groups = new Map();
+  const keyOf = new Map();
+  const aliases = new Map();
+  byIdentity.forEach(({ basis, rows: groupRows }, identity) => {
+    const header = representativeHeader(groupRows);
+    let key = header;
+    for (let n = 2; groups.has(key); n++) key = `${header} (${n})`;
+
+    groups.set(key, {
+      key,
+      identity,
+      rows: groupRows,
+      section: representativeSection(groupRows),
+      confidence: basis === 'manual'
+        ? { level: 'manual', reasons: ['Grouped by hand'] }
+        : assessGroup(dataset, basis, groupRows),
+    });
+    groupRows.forEach(row => {
+      keyOf.set(row, key);
+      if (!aliases.has(row.header)) aliases.set(row.header, key);
+    });
+  });
+
+  return {
+    groups,
+    rowsByKey: new Map([...groups].map(([key, group]) => [key, group.rows])),
+    keyOf,
+    resolve: (key) => (groups.has(key) ? key : aliases.get(key) ?? key),
+  };
+};
+
+// Other groups most like `key`'s by title, as [{ key, score }], for merging
+export const similarGroups = (grouping, key, limit = 5) => {
+  const group = grouping.groups.get(key);
+  if (!group) return [];
+  const title = statementTitle(group.key);
+  const number = sectionNumberOf(group.rows[0]);
+
+  return [...grouping.groups.values()]
+    .filter(other => other.key !== key)
+    .map(other => ({
+      key: other.key,
+      score: titleSimilarity(title, statementTitle(other.key)) + (number && sectionNumberOf(other.rows[0]) === number ? 0.5 : 0),
+    }))
+    .filter(({ score }) => score > 0.5)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// ---------- Manual overrides ----------
+//
+// Saved per dataset as { [rowId]: { group, updated } }: rows with the same
+// `group` form one section whatever the automatic grouping says. A null group
+// returns the row to automatic grouping and is kept, like a review reset, so
+// it wins over older team files.
+
+const newGroupId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// `rows` into manual group `group`, or back to automatic grouping for null
+export const assignRows = (entries, rows, group) => {
+  const updated = new Date().toISOString();
+  return { ...entries, ...Object.fromEntries(rows.map(row => [rowId(row), { group, updated }])) };
+};
+
+// Merging `groups` (entries of groupSections()) as { group, rows, moves }:
+// their rows go to one manual group, the first one's if it is manual already,
+// and data saved under the other groups' section ids moves to it (see
+// moveSectionEntries)
+export const planMerge = (groups) => {
+  const group = groups.map(g => g.identity).find(id => id.startsWith(MANUAL))?.slice(MANUAL.length) || newGroupId();
+  const identity = `${MANUAL}${group}`;
+  return {
+    group,
+    rows: groups.flatMap(g => g.rows),
+    moves: groups.filter(g => g.identity !== identity).map(g => ({ from: g.identity, to: [identity] })),
+  };
+};
+
+// The given rows into a group of their own. The rest of their group keeps its
+// section id, and the new one starts without saved data.
+export const splitRows = (entries, rows) => assignRows(entries, rows, newGroupId());
+
+export const resetRows = (entries, rows) => assignRows(entries, rows, null);
+
+// Where data saved under a manual group's section id goes when its rows
+// return to automatic grouping: to every section they land in
+export const resetMoves = (group) => (group.identity.startsWith(MANUAL)
+  ? [{ from: group.identity, to: [...new Set(group.rows.map(row => automaticIdentity(row).id))] }]
+  : []);
+
+// Entries from an exported file (see teamFile.js); throws on anything that isn't one
+export const parseGroupingFile = (text) => readTeamFile(text, 'groupings', entry => ({
+  group: asString(entry.group) || null,
+  updated: asString(entry.updated) || null,
+}));
+
+// Team files merge by row: whichever assignment was made last wins
+export const mergeGroupings = (entries, imported) => mergeEntries(entries, imported);
@@ -0,0 +1,30 @@
+// Ids that user data about a section (annotations, review status) is saved
+// under. They are the grouping identity of groupSections(): the enacted
+// section number, statement entry or header of an automatic group, or the
+// group id of one formed by hand. Group keys are raw headers, which pick up
+// stray line breaks between workbook revisions, and a group's rows can change
+// hands, so neither is used.
+
+export const normalizeHeader = (header) => String(header ?? '').replace(/\s+/g, ' ').trim();
+
+// Section id of each group, from the groups map of groupSections()
+export const sectionIdsByGroup = (groups) => new Map(
+  [...groups].map(([key, group]) => [key, group.identity])
+);
+
+// Entries moved to the ids sections have after a manual regrouping. `moves`
+// is [{ from, to: [ids] }]; an entry is merged into each of its targets with
+// `merge`, the (entries, imported) merge used for team files.
+export const moveSectionEntries = (entries, moves, merge) => {
+  let next = entries;
+  moves.forEach(({ from, to }) => {
+    const entry = next[from];
+    if (!entry) return;
+    next = { ...next };
+    delete next[from];
+    to.forEach(id => {
+      next = merge(next, { [id]: entry }).entries;
+    });
+  });
+  return next;
+};
@@ -0,0 +1,99 @@
+import { diffArrays } from 'diff';
+import { prepareRedlineText } from './redline';
+import { ENR_COLUMN, ENR_CHAR_COUNT_COLUMN } from './columns';
+
+// How much a provision changed between its chamber version and the enrolled
+// text: the share of words the two have in common, in order (2 * LCS / total
+// words), compared without punctuation, case or the section number.
+
+export const SIMILARITY_BANDS = [
+  { id: 'identical', label: 'Identical', style: 'bg-gray-100 text-gray-800' },
+  { id: 'minor', label: 'Minor edits', style: 'bg-blue-100 text-blue-800' },
+  { id: 'modified', label: 'Modified', style: 'bg-yellow-100 text-yellow-800' },
+  { id: 'rewritten', label: 'Substantially rewritten', style: 'bg-orange-100 text-orange-800' },
+  { id: 'dropped', label: 'Dropped', style: 'bg-red-100 text-red-800' },
+];
+
+const MINOR_EDITS = 0.9;
+const REWRITTEN_BELOW = 0.6;
+
+const tokens = (text) => (
+  prepareRedlineText(text, { ignoreSectionNumber: true }).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+);
+
+// Word-bag overlap; never lower than the in-order score, so it stands in for
+// sections too rewritten to be worth an exact diff
+const overlap = (a, b) => {
+  const counts = new Map();
+  a.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  let common = 0;
+  b.forEach(word => {
+    const count = counts.get(word);
+    if (count) {
+      common++;
+      counts.set(word, count - 1);
+    }
+  });
+  return (2 * common) / (a.length + b.length);
+};
+
+// Score in [0, 1], or null when there's nothing to compare. A missing enrolled
+// text scores 0: the provision was dropped.
+export const scoreSimilarity = (sourceText, finalText) => {
+  if (!sourceText) return null;
+  if (!finalText) return 0;
+
+  const a = tokens(sourceText);
+  const b = tokens(finalText);
+  if (a.length + b.length === 0) return 1;
+
+  // Past this many edits the section is below REWRITTEN_BELOW whatever the
+  // exact figure, and Myers' diff gets slow on long rewritten sections
+  const maxEditLength = Math.ceil((1 - REWRITTEN_BELOW) * (a.length + b.length));
+  const parts = diffArrays(a, b, { maxEditLength });
+  if (!parts) return Math.min(overlap(a, b), REWRITTEN_BELOW - 0.01);
+
+  const common = parts.reduce((sum, part) => (part.added || part.removed ? sum : sum + part.value.length), 0);
+  return (2 * common) / (a.length + b.length);
+};
+
+export const similarityBand = (row, score) => {
+  if (score === null || score === undefined) return null;
+  if (!row[ENR_COLUMN]) return 'dropped';
+  if (score === 1) return 'identical';
+  if (score >= MINOR_EDITS) return 'minor';
+  if (score >= REWRITTEN_BELOW) return 'modified';
+  return 'rewritten';
+};
+
+export const getSimilarityBand = (id) => SIMILARITY_BANDS.find(band => band.id === id);
+
+// The version of a section that changed most, which speaks for the section;
+// null when none of them has a score
+export const mostChangedRow = (rows, scores) => rows.reduce((lowest, row) => {
+  const score = scores.get(row);
+  if (score === null || score === undefined) return lowest;
+  return lowest === null || score < scores.get(lowest) ? row : lowest;
+}, null);
+
+// Source and enrolled lengths, from the dataset's character count columns
+// when it has them
+const textLengths = (row) => {
+  if (!row.source_full_section_text || !row[ENR_COLUMN]) return null;
+  return {
+    source: Number(row.source_full_section_text_char_count) || row.source_full_section_text.length,
+    final: Number(row[ENR_CHAR_COUNT_COLUMN]) || row[ENR_COLUMN].length,
+  };
+};
+
+// Enrolled minus source length
+export const charDelta = (row) => {
+  const lengths = textLengths(row);
+  return lengths && lengths.final - lengths.source;
+};
+
+// Change in length as a whole percentage of the source (-100..)
+export const lengthChange = (row) => {
+  const lengths = textLengths(row);
+  return lengths && Math.round(((lengths.final - lengths.source) / lengths.source) * 100);
+};
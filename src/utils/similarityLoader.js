@@ -0,0 +1,33 @@
+import { ENR_COLUMN } from './columns';
+
+// Scores rows in a worker (a full dataset takes a few seconds). Returns
+// { promise, cancel }; the promise resolves to a Map of row -> score.
+export const computeSimilarities = (rows, { onProgress = () => {} } = {}) => {
+  const worker = new Worker(new URL('../workers/similarityScorer.js', import.meta.url), { type: 'module' });
+
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'error') {
+        reject(new Error(data.message || 'Failed to compute similarity'));
+      } else {
+        resolve(new Map(rows.map((row, index) => [row, data.scores[index]])));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      reject(new Error(event.message || 'Similarity worker failed to start'));
+    };
+  });
+
+  worker.postMessage({
+    pairs: rows.map(row => [row.source_full_section_text || '', row[ENR_COLUMN] || '']),
+  });
+
+  return { promise, cancel: () => worker.terminate() };
+};
@@ -0,0 +1,133 @@
+import { chamberOf } from './datasets';
+import { CONFERENCE_OUTCOMES, rowAgreement } from './agreement';
+import { lengthChange } from './similarity';
+
+// Bill-wide figures for the dashboard. Like the results table, they count
+// sections (rows grouped by groupSections()); a section counts towards every category
+// one of its rows falls in, so a bar's count is what its filter shows. Titles
+// are the exception: a section counts once, under its enacted section's title,
+// as in the outline and exports, while the title's filter also finds chamber
+// sections numbered in it.
+
+const ROMAN = [[50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+
+const toRoman = (n) => ROMAN.reduce((out, [value, numeral]) => {
+  while (n >= value) {
+    out += numeral;
+    n -= value;
+  }
+  return out;
+}, '');
+
+// NDAA sections are numbered by title: 101-199 are title I, 1001-1099 title X
+export const sectionTitle = (sectionNumber) => {
+  const number = parseInt(sectionNumber, 10);
+  return Number.isNaN(number) ? null : Math.floor(number / 100);
+};
+
+// Title of the enacted section a group's rows are numbered under, or null.
+// A chamber's section number can sit in another title, so it isn't used.
+export const numberedTitle = (rows) => {
+  const secKey = rows.map(row => row.sec_key).find(key => key !== undefined && key !== null && key !== '');
+  return secKey === undefined ? null : sectionTitle(secKey);
+};
+
+export const titleLabel = (title) => (title === 0 ? 'Secs. 1–99' : `Title ${toRoman(title)}`);
+
+export const titleQuery = (title) => `sec:${Math.max(title * 100, 1)}..${title * 100 + 99}`;
+
+export const PRESENCE_OPTIONS = [
+  { id: 'house', label: 'House only' },
+  { id: 'senate', label: 'Senate only' },
+  { id: 'both', label: 'Both bills' },
+];
+
+// Which chamber's bill a section came from, by the versions it has rows for
+export const sectionPresence = (dataset, rows) => {
+  const chambers = new Set(rows.map(row => chamberOf(dataset, row.source_bill_type)));
+  if (chambers.has('house') && chambers.has('senate')) return 'both';
+  if (chambers.has('house')) return 'house';
+  if (chambers.has('senate')) return 'senate';
+  return null;
+};
+
+// Group key -> presence for every section in the data
+export const presenceByGroup = (dataset, rowsByKey) => new Map(
+  [...rowsByKey].map(([key, groupRows]) => [key, sectionPresence(dataset, groupRows)])
+);
+
+export const GROWTH_BUCKETS = [
+  { id: 'shrank-most', label: 'Shrank over 25%', query: 'growth:<-25', test: n => n < -25 },
+  { id: 'shrank', label: 'Shrank 6–25%', query: 'growth:-25..-6', test: n => n >= -25 && n <= -6 },
+  { id: 'same', label: 'Within 5%', query: 'growth:-5..5', test: n => n >= -5 && n <= 5 },
+  { id: 'grew', label: 'Grew 6–25%', query: 'growth:6..25', test: n => n >= 6 && n <= 25 },
+  { id: 'grew-most', label: 'Grew over 25%', query: 'growth:>25', test: n => n > 25 },
+];
+
+const tally = (groups, categoriesOf) => {
+  const counts = new Map();
+  groups.forEach(rows => {
+    new Set(rows.flatMap(categoriesOf)).forEach(category => {
+      if (category !== null && category !== undefined && category !== '') {
+        counts.set(category, (counts.get(category) || 0) + 1);
+      }
+    });
+  });
+  return counts;
+};
+
+// Each chart is a list of bars { id, label, value, filter }, where `filter`
+// holds the table filters that show that bar's sections
+export const billStats = (dataset, rowsByKey) => {
+  const groups = [...rowsByKey.values()].filter(rows => rows.some(row => row.header));
+
+  const titles = new Map();
+  groups.forEach(rows => {
+    const title = numberedTitle(rows);
+    if (title !== null) titles.set(title, (titles.get(title) || 0) + 1);
+  });
+  const complexity = tally(groups, row => [row.reference_complexity]);
+  const presence = new Map();
+  groups.forEach(rows => {
+    const id = sectionPresence(dataset, rows);
+    if (id) presence.set(id, (presence.get(id) || 0) + 1);
+  });
+  const outcomes = tally(groups, row => [rowAgreement(row).outcome]);
+  const growth = tally(groups, row => {
+    const change = lengthChange(row);
+    return change === null ? [] : GROWTH_BUCKETS.filter(bucket => bucket.test(change)).map(bucket => bucket.id);
+  });
+
+  return {
+    sections: groups.length,
+    titles: [...titles.keys()].sort((a, b) => a - b).map(title => ({
+      id: String(title),
+      label: titleLabel(title),
+      value: titles.get(title),
+      filter: { searchTerm: titleQuery(title) },
+    })),
+    complexity: [...complexity.keys()].sort().map(value => ({
+      id: value,
+      label: value,
+      value: complexity.get(value),
+      filter: { complexity: value },
+    })),
+    presence: PRESENCE_OPTIONS.map(option => ({
+      ...option,
+      value: presence.get(option.id) || 0,
+      filter: { presence: option.id },
+    })),
+    outcomes: CONFERENCE_OUTCOMES.filter(outcome => outcomes.has(outcome.id)).map(outcome => ({
+      id: outcome.id,
+      label: outcome.label,
+      value: outcomes.get(outcome.id),
+      filter: { outcome: outcome.id },
+    })),
+    growth: GROWTH_BUCKETS.map(bucket => ({
+      id: bucket.id,
+      label: bucket.label,
+      value: growth.get(bucket.id) || 0,
+      filter: { searchTerm: bucket.query },
+    })),
+  };
+};
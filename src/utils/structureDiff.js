@@ -0,0 +1,352 @@
+import { diffWords } from 'diff';
+import { memoizeDiff } from './diffCache';
+
+// Structure-aware comparison of two versions of a section. The text is split
+// into its (a)/(1)/(A)/(i)/(I) hierarchy, units are aligned across versions by
+// content rather than by designator, and each unit is reported as inserted,
+// struck, modified, moved and/or redesignated -- the vocabulary the Joint
+// Explanatory Statement uses to describe conference changes.
+
+export const CHANGE_LABELS = {
+  inserted: 'Inserted',
+  struck: 'Struck',
+  modified: 'Modified',
+  moved: 'Moved',
+  redesignated: 'Redesignated',
+};
+
+const SUBSECTION = 0;
+const PARAGRAPH = 1;
+const SUBPARAGRAPH = 2;
+const CLAUSE = 3;
+const SUBCLAUSE = 4;
+
+const MATCH_THRESHOLD = 0.5;
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+const toRoman = (value) => {
+  const numerals = [[100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let remaining = value;
+  let roman = '';
+  numerals.forEach(([amount, numeral]) => {
+    while (remaining >= amount) {
+      roman += numeral;
+      remaining -= amount;
+    }
+  });
+  return roman;
+};
+
+// Value of a well-formed lowercase roman numeral, otherwise null
+const romanValue = (text) => {
+  if (!/^[ivxlc]+$/.test(text)) return null;
+  let value = 0;
+  for (let i = 0; i < text.length; i++) {
+    const current = ROMAN_VALUES[text[i]];
+    const next = ROMAN_VALUES[text[i + 1]] || 0;
+    value += current < next ? -current : current;
+  }
+  return toRoman(value) === text ? value : null;
+};
+
+// Position of a designator within its level: (c) -> 3, (aa) -> 27, (iv) -> 4.
+// Inserted paragraphs such as (2A) share their base number.
+const ordinal = (level, designator) => {
+  switch (level) {
+    case SUBSECTION:
+    case SUBPARAGRAPH: {
+      const letters = designator.toLowerCase();
+      if (!/^([a-z])\1*$/.test(letters)) return null;
+      return (letters.length - 1) * 26 + letters.charCodeAt(0) - 96;
+    }
+    case PARAGRAPH:
+      return parseInt(designator, 10);
+    case CLAUSE:
+      return romanValue(designator);
+    case SUBCLAUSE:
+      return romanValue(designator.toLowerCase());
+    default:
+      return null;
+  }
+};
+
+// Levels a designator could belong to; (i) and (I) are ambiguous
+const candidateLevels = (designator) => {
+  if (/^\d+[A-Z]?$/.test(designator)) return [PARAGRAPH];
+  const levels = [];
+  if (/^[a-z]+$/.test(designator)) {
+    if (ordinal(SUBSECTION, designator)) levels.push(SUBSECTION);
+    if (romanValue(designator)) levels.push(CLAUSE);
+  } else if (/^[A-Z]+$/.test(designator)) {
+    if (ordinal(SUBPARAGRAPH, designator)) levels.push(SUBPARAGRAPH);
+    if (romanValue(designator.toLowerCase())) levels.push(SUBCLAUSE);
+  }
+  return levels;
+};
+
+const follows = (level, previous, designator) => {
+  const before = ordinal(level, previous);
+  const after = ordinal(level, designator);
+  if (!before || !after) return false;
+  // (2) -> (2A) is an inserted paragraph; (2A) -> (3) resumes the sequence
+  if (level === PARAGRAPH && after === before && designator !== previous) return /[A-Z]$/.test(designator);
+  return after === before + 1;
+};
+
+// A designator starts a unit when it follows the end of a sentence, clause
+// or heading, or a "; and"/"; or" -- not when it is a cross-reference like
+// "paragraph (1)" or "section 9062(i)(2)". A unit's first child may also
+// follow its heading directly ("(a)Block buy authority for airframes(1)In general").
+const REFERENCE_BEFORE = /(\d|\b(sections?|subsections?|paragraphs?|subparagraphs?|clauses?|subclauses?|items?|and|or|through|title))\s*$/i;
+
+const afterBreak = (before) => /(^|[.;:—–)"”'’])\s*$/.test(before) || /[;,]\s*(and|or)\s*$/.test(before);
+
+// Where a designator fits in the open units: the first child of the innermost
+// unit, or the next sibling of an open unit, innermost first
+const placeDesignator = (stack, designator) => {
+  const levels = candidateLevels(designator);
+  const top = stack[stack.length - 1];
+
+  for (const level of levels) {
+    const childLevel = stack.length === 1 || level === top.level + 1;
+    if (childLevel && ordinal(level, designator) === 1) return { depth: stack.length, level };
+  }
+  for (let depth = stack.length - 1; depth >= 1; depth--) {
+    const unit = stack[depth];
+    if (levels.includes(unit.level) && follows(unit.level, unit.designator, designator)) {
+      return { depth, level: unit.level };
+    }
+  }
+  return null;
+};
+
+// Source sections run headings into the text ("(1)In generalThe Secretary");
+// split the first such join so both versions tokenize alike
+const separateHeading = (text) => text.replace(/^([^.;:]{0,120}?[a-z])([A-Z][a-z])/, '$1 $2');
+
+// Parse section text into a tree of units. The root holds the section number,
+// header and any lead-in text before the first designator.
+export const parseStructure = (text) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const root = { level: -1, designator: '', text: '', children: [] };
+  const stack = [root];
+  const pattern = /\(([0-9]{1,3}[A-Z]?|[a-z]{1,5}|[A-Z]{1,5})\)/g;
+  let cursor = 0;
+  let rejectedEnd = -1;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const before = source.slice(Math.max(0, start - 16), start);
+    const placement = placeDesignator(stack, match[1]);
+    const firstChild = placement && placement.depth === stack.length && !REFERENCE_BEFORE.test(before);
+    // Designators chained onto a rejected one are part of the same reference
+    if (!placement || start === rejectedEnd || !(afterBreak(before) || firstChild)) {
+      rejectedEnd = end;
+      continue;
+    }
+
+    stack[stack.length - 1].text += source.slice(cursor, start);
+    stack.length = placement.depth;
+    const unit = { level: placement.level, designator: match[1], text: '', children: [] };
+    stack[stack.length - 1].children.push(unit);
+    stack.push(unit);
+    cursor = end;
+  }
+  stack[stack.length - 1].text += source.slice(cursor);
+
+  const finish = (unit, parentPath) => {
+    unit.path = unit.designator ? `${parentPath}(${unit.designator})` : '';
+    unit.text = separateHeading(unit.text.trim());
+    unit.children.forEach(child => finish(child, unit.path));
+  };
+  finish(root, '');
+  return root;
+};
+
+const flatten = (root) => {
+  const units = [];
+  const visit = (unit, parent) => {
+    unit.parent = parent;
+    unit.index = units.length;
+    units.push(unit);
+    unit.children.forEach(child => visit(child, unit));
+  };
+  visit(root, null);
+  return units;
+};
+
+const wordCounts = (text) => {
+  const counts = new Map();
+  (text.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+};
+
+const subtreeText = (unit) => [unit.text, ...unit.children.map(subtreeText)].join(' ');
+
+// Dice coefficient over word multisets
+const similarity = (a, b) => {
+  if (a.total === 0 && b.total === 0) return 1;
+  let common = 0;
+  const [small, large] = a.counts.size < b.counts.size ? [a, b] : [b, a];
+  small.counts.forEach((count, word) => {
+    common += Math.min(count, large.counts.get(word) || 0);
+  });
+  return (2 * common) / (a.total + b.total);
+};
+
+const profile = (text) => {
+  const counts = wordCounts(text);
+  let total = 0;
+  counts.forEach(count => {
+    total += count;
+  });
+  return { counts, total };
+};
+
+// Pair units across versions, best matches first. Units with little text of
+// their own (a heading over child paragraphs) are compared by their subtree.
+const alignUnits = (sourceUnits, finalUnits) => {
+  const profiles = (units) => units.map(unit => ({ own: profile(unit.text), subtree: profile(subtreeText(unit)) }));
+  const sourceProfiles = profiles(sourceUnits);
+  const finalProfiles = profiles(finalUnits);
+
+  const pairs = [];
+  sourceUnits.forEach((source, i) => {
+    if (source.level === -1) return;
+    finalUnits.forEach((final, j) => {
+      if (final.level === -1) return;
+      const a = sourceProfiles[i];
+      const b = finalProfiles[j];
+      const useOwn = a.own.total >= 3 && b.own.total >= 3;
+      const score = useOwn ? similarity(a.own, b.own) : similarity(a.subtree, b.subtree);
+      if (score < MATCH_THRESHOLD) return;
+      // Same designator and level breaks ties between near-identical units
+      const bonus = source.path === final.path ? 0.05 : source.designator === final.designator ? 0.02 : 0;
+      pairs.push({ source, final, score: score + bonus });
+    });
+  });
+
+  const sourceToFinal = new Map([[sourceUnits[0], finalUnits[0]]]);
+  const finalToSource = new Map([[finalUnits[0], sourceUnits[0]]]);
+  pairs
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ source, final }) => {
+      if (sourceToFinal.has(source) || finalToSource.has(final)) return;
+      sourceToFinal.set(source, final);
+      finalToSource.set(final, source);
+    });
+  return { sourceToFinal, finalToSource };
+};
+
+// Indices (into `values`) of a longest increasing subsequence
+const longestIncreasing = (values) => {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  });
+  const kept = new Set();
+  for (let i = tails[tails.length - 1]; i !== undefined && i !== -1; i = previous[i]) kept.add(i);
+  return kept;
+};
+
+const compact = (text) => text.replace(/\s+/g, '');
+
+// Tree of changes between two versions of a section. Each node describes one
+// unit: its designator in the final text (or the source, if struck), the
+// changes that apply to it, and word diff parts for modified text.
+export const compareStructure = memoizeDiff((sourceText, finalText) => {
+  const sourceRoot = parseStructure(sourceText);
+  const finalRoot = parseStructure(finalText);
+  const sourceUnits = flatten(sourceRoot);
+  const finalUnits = flatten(finalRoot);
+  const { sourceToFinal, finalToSource } = alignUnits(sourceUnits, finalUnits);
+
+  // Matched units under the same parent whose order changed count as moved
+  const reordered = new Set();
+  finalUnits.forEach(final => {
+    const parentSource = finalToSource.get(final);
+    if (!parentSource) return;
+    const siblings = final.children.filter(child => finalToSource.get(child)?.parent === parentSource);
+    const order = siblings.map(child => finalToSource.get(child).index);
+    const kept = longestIncreasing(order);
+    siblings.forEach((child, i) => {
+      if (!kept.has(i)) reordered.add(child);
+    });
+  });
+
+  const counts = { inserted: 0, struck: 0, modified: 0, moved: 0, redesignated: 0, unchanged: 0 };
+
+  const struckNode = (source) => {
+    counts.struck++;
+    return {
+      key: `struck:${source.index}`,
+      path: source.path,
+      designator: source.designator,
+      changes: ['struck'],
+      text: source.text,
+      children: source.children.filter(child => !sourceToFinal.has(child)).map(struckNode),
+    };
+  };
+
+  const finalNode = (final) => {
+    const source = finalToSource.get(final);
+    const node = { key: `final:${final.index}`, path: final.path, designator: final.designator, text: final.text };
+
+    if (!source) {
+      node.changes = ['inserted'];
+      counts.inserted++;
+    } else {
+      node.changes = [];
+      node.fromPath = source.path;
+      const parentMoved = source.parent && sourceToFinal.get(source.parent) !== final.parent;
+      if (parentMoved || reordered.has(final)) {
+        node.changes.push('moved');
+      } else if (source.designator !== final.designator || source.level !== final.level) {
+        node.changes.push('redesignated');
+      }
+      if (compact(source.text) !== compact(final.text)) {
+        node.changes.push('modified');
+        node.parts = diffWords(source.text, final.text);
+      }
+      node.changes.forEach(change => counts[change]++);
+      if (node.changes.length === 0) counts.unchanged++;
+    }
+
+    node.children = final.children.map(finalNode);
+
+    // Struck units go after the counterpart of their nearest preceding sibling
+    if (source) {
+      let insertAt = 0;
+      source.children.forEach(child => {
+        const counterpart = sourceToFinal.get(child);
+        if (counterpart) {
+          const position = node.children.findIndex(item => item.key === `final:${counterpart.index}`);
+          if (position !== -1) insertAt = position + 1;
+        } else {
+          node.children.splice(insertAt, 0, struckNode(child));
+          insertAt++;
+        }
+      });
+    }
+    return node;
+  };
+
+  const tree = finalNode(finalRoot);
+  // The root always pairs with the root; it's the section header, not a unit
+  counts.unchanged -= tree.changes.length === 0 ? 1 : 0;
+  tree.changes.forEach(change => counts[change]--);
+
+  return { tree, counts, unitCount: Math.max(sourceUnits.length, finalUnits.length) - 1 };
+});
@@ -0,0 +1,68 @@
+// JSON files for exchanging per-section user data (annotations, review
+// status, groupings) between colleagues. Entries are keyed by id; each kind
+// supplies how to clean an entry read from a file and how to combine it with
+// one of ours.
+
+const FILE_VERSION = 1;
+
+const formatOf = (kind) => `ndaa-${kind}`;
+
+export const writeTeamFile = (kind, datasetId, entries) => JSON.stringify({
+  format: formatOf(kind),
+  version: FILE_VERSION,
+  dataset: datasetId,
+  exported: new Date().toISOString(),
+  entries,
+}, null, 2);
+
+// { dataset, entries } with each entry passed through `clean`, which drops it
+// by returning null; throws on anything that isn't an export of this kind
+export const readTeamFile = (text, kind, clean) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!parsed || parsed.format !== formatOf(kind) || typeof parsed.entries !== 'object' || !parsed.entries) {
+    throw new Error(`The file is not an export of ${kind}`);
+  }
+  if (parsed.version > FILE_VERSION) {
+    throw new Error('The file was exported by a newer version of this tool');
+  }
+  return {
+    dataset: typeof parsed.dataset === 'string' ? parsed.dataset : null,
+    entries: Object.fromEntries(
+      Object.entries(parsed.entries)
+        .filter(([, entry]) => entry && typeof entry === 'object')
+        .map(([id, entry]) => [id, clean(entry)])
+        .filter(([, entry]) => entry !== null)
+    ),
+  };
+};
+
+export const laterTimestamp = (a, b) => ((a || '') > (b || '') ? a : b);
+
+// Whichever entry was updated last
+export const newerEntry = (existing, incoming) => (
+  (incoming.updated || '') > (existing.updated || '') ? incoming : existing
+);
+
+// Imported entries merged into ours by id, as { entries, changed }. Entries
+// we lack are added; otherwise `combine(existing, incoming)` gives the entry
+// to keep, and handing back `existing` counts as no change.
+export const mergeEntries = (entries, imported, combine = newerEntry) => {
+  const merged = { ...entries };
+  let changed = 0;
+  Object.entries(imported).forEach(([id, incoming]) => {
+    const existing = merged[id];
+    const next = existing ? combine(existing, incoming) : incoming;
+    if (next !== existing) {
+      merged[id] = next;
+      changed++;
+    }
+  });
+  return { entries: merged, changed };
+};
+
+export const asString = (value) => (typeof value === 'string' ? value : '');
@@ -0,0 +1,26 @@
+// Shared text normalization for legislative section text. Source sections come
+// out of the bill XML with section numbers and headers run together
+// ("4.Budgetary effects of this ActThe budgetary..."), so every comparison
+// view runs both sides through the same cleanup before diffing.
+export const formatText = (text) => {
+  try {
+    if (!text || typeof text !== 'string') return '';
+
+    return text
+      .trim()
+      // Add space after section numbers (e.g., "132." or "130A.") - more conservative
+      .replace(/(\d+[A-Z]?\.)\s*([A-Z])/g, '$1 $2')
+      // Add line break only after major section breaks
+      .replace(/(\d+[A-Z]?\.\s*[A-Z][^.]*\.)\s*([A-Z])/g, '$1\n\n$2')
+      // Add line break after subsection markers like "(1)", "(2)", etc.
+      .replace(/(\([0-9]+\))\s*([a-z])/g, '$1 $2')
+      // Ensure single spaces after periods
+      .replace(/\.\s+/g, '. ')
+      // Clean up multiple spaces
+      .replace(/\s+/g, ' ')
+      .trim();
+  } catch (error) {
+    console.error('Error formatting text:', error);
+    return text || '';
+  }
+};
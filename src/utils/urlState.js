@@ -0,0 +1,119 @@
+// Interface state <-> location hash, so views can be bookmarked and shared.
+// Hash routing keeps deep links working on the gh-pages deploy (base: './').
+//
+//   #/?year=fy2025&q=header%3Apay&complexity=...&type=SENATE_RS&outcome=dropped&origin=both&similarity=rewritten&status=flagged&assignee=Kim&outline=title%3A8&sort=word_count:desc&page=2&open=<key>
+//   #/section/<group key>          that section expanded and scrolled into view
+//   #/section/<group key>/diff     ...with its redline open
+//   #/diff/<group key>             the diff tool for that section
+//   #/detail/<group key>?...       that section on a page of its own, stepping
+//                                  through the filtered and sorted results
+//   #/dashboard                    charts for the whole bill
+//   #/graph?...                    reference graph of the filtered results
+//
+// Defaults are left out so an untouched interface has no hash at all.
+
+export const DEFAULT_URL_STATE = {
+  datasetId: null,
+  searchTerm: '',
+  complexity: '',
+  sourceType: '',
+  outcome: '',
+  presence: '',
+  similarity: '',
+  reviewStatus: '',
+  assignee: '',
+  outline: '', // outline node id, e.g. title:8
+  sortField: '',
+  sortDirection: 'asc',
+  page: 1,
+  expanded: [],
+  focus: null, // { key, diff }
+  diffKey: null,
+  detailKey: null, // section shown on the detail page
+  view: 'table', // 'dashboard' or 'graph'
+};
+
+export const parseHash = (hash) => {
+  const state = { ...DEFAULT_URL_STATE, expanded: [] };
+  const raw = (hash || '').replace(/^#\/?/, '');
+  if (!raw) return state;
+
+  const queryStart = raw.indexOf('?');
+  const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+  const params = new URLSearchParams(queryStart === -1 ? '' : raw.slice(queryStart + 1));
+
+  const sectionMatch = path.match(/^section\/([^/]+)(\/diff)?$/);
+  const diffMatch = path.match(/^diff\/([^/]+)$/);
+  const detailMatch = path.match(/^detail\/([^/]+)$/);
+  try {
+    if (sectionMatch) {
+      state.focus = { key: decodeURIComponent(sectionMatch[1]), diff: !!sectionMatch[2] };
+    } else if (diffMatch) {
+      state.diffKey = decodeURIComponent(diffMatch[1]);
+    } else if (detailMatch) {
+      state.detailKey = decodeURIComponent(detailMatch[1]);
+    } else if (path === 'dashboard' || path === 'graph') {
+      state.view = path;
+    }
+  } catch {
+    // malformed escape sequence; fall back to the results list
+  }
+
+  state.datasetId = params.get('year') || null;
+  state.searchTerm = params.get('q') || '';
+  state.complexity = params.get('complexity') || '';
+  state.sourceType = params.get('type') || '';
+  state.outcome = params.get('outcome') || '';
+  state.presence = params.get('origin') || '';
+  state.similarity = params.get('similarity') || '';
+  state.reviewStatus = params.get('status') || '';
+  state.assignee = params.get('assignee') || '';
+  state.outline = params.get('outline') || '';
+
+  const [sortField, sortDirection] = (params.get('sort') || '').split(':');
+  state.sortField = sortField || '';
+  state.sortDirection = sortDirection === 'desc' ? 'desc' : 'asc';
+
+  const page = parseInt(params.get('page'), 10);
+  state.page = page > 0 ? page : 1;
+
+  state.expanded = params.getAll('open');
+  return state;
+};
+
+export const buildHash = (state) => {
+  const params = new URLSearchParams();
+  if (state.datasetId) params.set('year', state.datasetId);
+  if (state.searchTerm) params.set('q', state.searchTerm);
+  if (state.complexity) params.set('complexity', state.complexity);
+  if (state.sourceType) params.set('type', state.sourceType);
+  if (state.outcome) params.set('outcome', state.outcome);
+  if (state.presence) params.set('origin', state.presence);
+  if (state.similarity) params.set('similarity', state.similarity);
+  if (state.reviewStatus) params.set('status', state.reviewStatus);
+  if (state.assignee) params.set('assignee', state.assignee);
+  if (state.outline) params.set('outline', state.outline);
+  if (state.sortField) params.set('sort', `${state.sortField}:${state.sortDirection}`);
+  if (state.page > 1) params.set('page', String(state.page));
+
+  // The focused section is in the path; it's implicitly expanded
+  const focus = state.diffKey || state.detailKey || state.view !== 'table' ? null : state.focus;
+  state.expanded
+    .filter(key => key !== focus?.key)
+    .forEach(key => params.append('open', key));
+
+  let path = '';
+  if (state.diffKey) {
+    path = `diff/${encodeURIComponent(state.diffKey)}`;
+  } else if (state.detailKey) {
+    path = `detail/${encodeURIComponent(state.detailKey)}`;
+  } else if (state.view !== 'table') {
+    path = state.view;
+  } else if (focus) {
+    path = `section/${encodeURIComponent(focus.key)}${focus.diff ? '/diff' : ''}`;
+  }
+  const query = params.toString();
+
+  if (!path && !query) return '';
+  return `#/${path}${query ? `?${query}` : ''}`;
+};
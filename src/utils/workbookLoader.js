@@ -0,0 +1,110 @@
+import { getRecord, putRecord, WORKBOOK_STORE } from './idb';
+
+// Loads the bill references workbook: parsed rows are cached in IndexedDB and
+// only re-parsed (in a Web Worker) when the file on the server changes.
+//
+// The server's ETag / Last-Modified is checked first with a HEAD request so an
+// unchanged workbook isn't even downloaded. When the server gives no usable
+// validator the worker downloads the file and compares its content hash with
+// the cached one before parsing.
+
+const fetchVersion = async (url) => {
+  try {
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    if (!response.ok) return null;
+
+    const etag = response.headers.get('ETag');
+    if (etag) return `etag:${etag}`;
+
+    const lastModified = response.headers.get('Last-Modified');
+    const length = response.headers.get('Content-Length');
+    return lastModified ? `modified:${lastModified}:${length || ''}` : null;
+  } catch {
+    return null;
+  }
+};
+
+// Runs one request through a fresh parser worker, resolving with the first
+// non-progress reply
+const runWorker = (message, onProgress, transfer = []) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/workbookParser.js', import.meta.url), { type: 'module' });
+
+  const finish = (callback) => (value) => {
+    worker.terminate();
+    callback(value);
+  };
+  const done = finish(resolve);
+  const fail = finish(reject);
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      onProgress(data);
+    } else if (data.type === 'error') {
+      fail(new Error(data.message || 'Failed to parse workbook'));
+    } else {
+      done(data);
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fail(new Error(event.message || 'Workbook parser failed to start'));
+  };
+
+  worker.postMessage(message, transfer);
+});
+
+const parseInWorker = async (url, cachedHash, onProgress) => {
+  const reply = await runWorker({ type: 'url', url, cachedHash }, onProgress);
+  return reply.type === 'unchanged'
+    ? { hash: reply.hash, unchanged: true }
+    : { rows: reply.rows, hash: reply.hash, unchanged: false };
+};
+
+// Resolves to { rows, fromCache }. `onProgress` receives
+// { stage: 'check' | 'download' | 'hash' | 'parse' | 'convert' | 'cache', loaded, total }.
+export const loadWorkbook = async (url, { onProgress = () => {} } = {}) => {
+  // The worker resolves relative URLs against its own script, not the page
+  const absoluteUrl = new URL(url, document.baseURI).href;
+
+  onProgress({ stage: 'check' });
+  const [cached, version] = await Promise.all([
+    getRecord(WORKBOOK_STORE, absoluteUrl).catch(error => {
+      console.warn('Workbook cache unavailable:', error);
+      return null;
+    }),
+    fetchVersion(absoluteUrl),
+  ]);
+
+  if (cached && version && cached.version === version) {
+    onProgress({ stage: 'cache' });
+    return { rows: cached.rows, fromCache: true };
+  }
+
+  const result = await parseInWorker(absoluteUrl, cached?.hash, onProgress);
+  const rows = result.unchanged ? cached.rows : result.rows;
+  if (result.unchanged) onProgress({ stage: 'cache' });
+
+  try {
+    await putRecord(WORKBOOK_STORE, {
+      key: absoluteUrl,
+      version,
+      hash: result.hash,
+      rows,
+      savedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    // A full or disabled cache only costs a re-parse next time
+    console.warn('Failed to cache workbook:', error);
+  }
+
+  return { rows, fromCache: result.unchanged };
+};
+
+// Parse a user-supplied XLSX, CSV or JSON file. Resolves to the file's sheets
+// as [{ name, headers, rows }]; picking the data sheet and mapping columns is
+// left to the caller.
+export const parseDatasetFile = async (file, { onProgress = () => {} } = {}) => {
+  const buffer = await file.arrayBuffer();
+  const reply = await runWorker({ type: 'file', name: file.name, buffer }, onProgress, [buffer]);
+  return reply.sheets;
+};
@@ -0,0 +1,85 @@
+// Minimal ZIP writer (stored, uncompressed) for the few small XML parts of a
+// generated DOCX; not meant for large or binary-heavy archives.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// files: [{ name, content }] with string (UTF-8) or Uint8Array content
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const entries = files.map(file => {
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+
+  let offset = 0;
+  const writeHeader = (signature, entry, central, localOffset) => {
+    view.setUint32(offset, signature, true);
+    offset += 4;
+    if (central) {
+      view.setUint16(offset, 20, true); // version made by
+      offset += 2;
+    }
+    view.setUint16(offset, 20, true); // version needed
+    view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+    view.setUint16(offset + 4, 0, true); // stored
+    view.setUint16(offset + 6, time, true);
+    view.setUint16(offset + 8, date, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    view.setUint16(offset + 24, 0, true); // extra field length
+    offset += 26;
+    if (central) {
+      // comment length, disk number, internal and external attributes, then
+      // the local header's offset
+      view.setUint32(offset + 10, localOffset, true);
+      offset += 14;
+    }
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+  };
+
+  const localOffsets = entries.map(entry => {
+    const start = offset;
+    writeHeader(0x04034b50, entry, false);
+    bytes.set(entry.data, offset);
+    offset += entry.data.length;
+    return start;
+  });
+
+  const centralStart = offset;
+  entries.forEach((entry, index) => writeHeader(0x02014b50, entry, true, localOffsets[index]));
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return bytes;
+};
@@ -0,0 +1,29 @@
+import { scoreSimilarity } from '../utils/similarity';
+
+// Scores every row's source text against its enrolled text off the UI thread.
+//
+//   { pairs: [[sourceText, finalText], ...] } replies with
+//     { type: 'progress', loaded, total }
+//     { type: 'result', scores }       - one score (or null) per pair
+//
+// or { type: 'error', message }.
+
+const post = (message) => self.postMessage(message);
+
+self.onmessage = ({ data }) => {
+  try {
+    const { pairs } = data;
+    // Rows citing the same provision repeat its texts; score each pair once
+    const seen = new Map();
+    const scores = pairs.map(([sourceText, finalText], index) => {
+      if (index % 100 === 0) post({ type: 'progress', loaded: index, total: pairs.length });
+
+      const key = `${sourceText}\u0000${finalText}`;
+      if (!seen.has(key)) seen.set(key, scoreSimilarity(sourceText, finalText));
+      return seen.get(key);
+    });
+    post({ type: 'result', scores });
+  } catch (error) {
+    post({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,144 @@
+import * as XLSX from 'xlsx';
+import { detectDataSheet } from '../utils/datasetSchema';
+
+// Parses bill references datasets off the UI thread. Two requests:
+//
+//   { type: 'url', url, cachedHash } downloads, fingerprints and parses the
+//   published workbook, replying with
+//     { type: 'progress', stage, loaded, total }
+//     { type: 'unchanged', hash }     - bytes match the cached copy, skip parsing
+//     { type: 'result', rows, hash }
+//
+//   { type: 'file', name, buffer } parses a user-supplied XLSX/CSV/JSON file,
+//   replying with { type: 'sheets', sheets: [{ name, headers, rows }] }
+//
+// Either may reply { type: 'error', message }.
+
+const post = (message) => self.postMessage(message);
+
+const download = async (url) => {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch file: ${response.status} ${response.statusText}`.trim());
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    post({ type: 'progress', stage: 'download', loaded: buffer.byteLength, total: buffer.byteLength });
+    return new Uint8Array(buffer);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    post({ type: 'progress', stage: 'download', loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+};
+
+// FNV-1a fallback for insecure contexts where crypto.subtle is unavailable
+const fnv1a = (bytes) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a-${(hash >>> 0).toString(16)}-${bytes.length}`;
+};
+
+const fingerprint = async (bytes) => {
+  if (self.crypto?.subtle) {
+    const digest = await self.crypto.subtle.digest('SHA-256', bytes);
+    const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `sha256-${hex}`;
+  }
+  return fnv1a(bytes);
+};
+
+const sheetsFromWorkbook = (workbook) => workbook.SheetNames.map(name => {
+  const sheet = workbook.Sheets[name];
+  const ref = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+  const [headerRow = []] = ref
+    ? XLSX.utils.sheet_to_json(sheet, { header: 1, range: { s: ref.s, e: { r: ref.s.r, c: ref.e.c } } })
+    : [];
+  return {
+    name,
+    headers: headerRow.filter(header => header !== undefined && header !== null && header !== '').map(String),
+    rows: XLSX.utils.sheet_to_json(sheet),
+  };
+});
+
+// JSON exports are either an array of row objects or an object whose
+// array-valued properties are sheets ({ "rows": [...] }, { "Sheet1": [...] })
+const sheetsFromJson = (text, fileName) => {
+  const parsed = JSON.parse(text);
+  const arrays = Array.isArray(parsed)
+    ? [[fileName, parsed]]
+    : Object.entries(parsed || {}).filter(([, value]) => Array.isArray(value));
+
+  if (arrays.length === 0) throw new Error('JSON file does not contain an array of rows');
+
+  return arrays.map(([name, rows]) => {
+    const objects = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    const headers = [...new Set(objects.flatMap(row => Object.keys(row)))];
+    return { name, headers, rows: objects };
+  });
+};
+
+const parseFile = ({ name, buffer }) => {
+  const extension = (name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+  const bytes = new Uint8Array(buffer);
+
+  post({ type: 'progress', stage: 'parse' });
+  if (extension === 'json') {
+    return sheetsFromJson(new TextDecoder().decode(bytes), name);
+  }
+  if (extension === 'csv' || extension === 'tsv' || extension === 'txt') {
+    return sheetsFromWorkbook(XLSX.read(new TextDecoder().decode(bytes), { type: 'string' }));
+  }
+  return sheetsFromWorkbook(XLSX.read(bytes, { type: 'array' }));
+};
+
+const parseUrl = async ({ url, cachedHash }) => {
+  const bytes = await download(url);
+
+  post({ type: 'progress', stage: 'hash' });
+  const hash = await fingerprint(bytes);
+  if (cachedHash && hash === cachedHash) {
+    post({ type: 'unchanged', hash });
+    return;
+  }
+
+  post({ type: 'progress', stage: 'parse' });
+  const workbook = XLSX.read(bytes, { type: 'array', cellStyles: true });
+
+  post({ type: 'progress', stage: 'convert' });
+  const sheet = detectDataSheet(sheetsFromWorkbook(workbook));
+
+  post({ type: 'result', rows: sheet ? sheet.rows : [], hash });
+};
+
+self.onmessage = async (event) => {
+  try {
+    if (event.data.type === 'file') {
+      post({ type: 'sheets', sheets: parseFile(event.data) });
+    } else {
+      await parseUrl(event.data);
+    }
+  } catch (error) {
+    post({ type: 'error', message: error.message });
+  }
+};